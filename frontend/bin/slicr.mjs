@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/* ----------------------------------------------------------
+   slicr: slices mesh files from the command line and writes the
+   same nested SVG / DXF sheets the viewer exports, for batch
+   catalogues and regression checks against known-good output.
+   The modules under src/components are shared with the viewer
+   as-is; their package.json declares them ES modules for Node.
+---------------------------------------------------------- */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseMesh } from '../src/components/meshImport.js';
+import { indexMesh, boundsOf, resolvePlane, sliceAll } from '../src/components/slicer.js';
+import { nestSlices, sheetFileName, sheetSvg, sheetDxf, layerListCsv } from '../src/components/exporters.js';
+import { DEFAULT_MATERIALS, readMaterials, fitScale, nearestThickness } from '../src/components/materials.js';
+
+const USAGE = `Usage: slicr <model.stl> [more models…] [options]
+
+      --material <name>         material preset supplying the defaults below (default ${DEFAULT_MATERIALS[0].name})
+      --materials <file.json>   preset library exported from the viewer, searched before the built-ins
+  -p, --plane <X|Y|Z|nx,ny,nz>  slicing plane, or the normal of an oblique one (default Z)
+  -t, --thickness <mm>          layer thickness (default 4 mm, or the nearest the material comes in)
+      --scale <factor>          uniform scale from model units to mm
+      --fit <WxHxD>             scale uniformly to fit this box in mm (default the material's fit box)
+  -m, --mode <stack|waffle|radial>  (default stack)
+      --kerf <mm>               material removed by the beam or tool (default the material's kerf)
+      --sheet <WxH>             stock sheet size in mm (default the material's sheet)
+      --spacing <mm>            gap between parts and from the sheet edge (default 5)
+      --no-labels               do not engrave layer marks
+  -f, --format <svg|dxf|both>   (default svg; DXF is R12, which carries no units: import it as mm)
+      --layers                  also write the layer list as CSV
+  -o, --out <dir>               output directory (default .)
+  -h, --help`;
+
+const OPTIONS = {
+  material: { type: 'string' },
+  materials: { type: 'string' },
+  plane: { type: 'string', short: 'p', default: 'Z' },
+  thickness: { type: 'string', short: 't' },
+  scale: { type: 'string' },
+  fit: { type: 'string' },
+  mode: { type: 'string', short: 'm', default: 'stack' },
+  kerf: { type: 'string' },
+  sheet: { type: 'string' },
+  spacing: { type: 'string', default: '5' },
+  'no-labels': { type: 'boolean', default: false },
+  format: { type: 'string', short: 'f', default: 'svg' },
+  layers: { type: 'boolean', default: false },
+  out: { type: 'string', short: 'o', default: '.' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// Slicing defaults the viewer starts with, for everything not on the command line
+const PAYLOAD_DEFAULTS = {
+  currentSlice: null,
+  cutouts: 3,
+  finCount: 12,
+  hubCount: 2,
+  hubDiameter: 40,
+  spineDiameter: 0,
+  dowelCount: 0,
+  dowelDiameter: 6,
+  dowelPoints: [],
+  glueGuides: false,
+  layerMode: 'uniform',
+};
+
+class UsageError extends Error {}
+
+const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+
+const positive = (name, text) => {
+  const value = Number(text);
+  if (!(value > 0) || !Number.isFinite(value)) throw new UsageError(`--${name} must be a positive number, got "${text}"`);
+  return value;
+};
+
+const dimensions = (name, text, axes) => {
+  const parts = text.toLowerCase().split('x');
+  if (parts.length !== axes) throw new UsageError(`--${name} takes ${axes} sizes in mm separated by "x", got "${text}"`);
+  return parts.map((part) => positive(name, part));
+};
+
+function parsePlane(text) {
+  const axis = text.toUpperCase();
+  if (['X', 'Y', 'Z'].includes(axis)) return { slicingPlane: axis, planeNormal: null };
+  const normal = text.split(',').map(Number);
+  if (normal.length !== 3 || normal.some((c) => !Number.isFinite(c)) || Math.hypot(...normal) === 0) {
+    throw new UsageError(`--plane must be X, Y, Z or a normal such as 0,1,1, got "${text}"`);
+  }
+  return { slicingPlane: 'custom', planeNormal: normal };
+}
+
+// Presets are matched by name, ignoring case; a library file's win over the built-ins
+async function findMaterial(name, libraryFile) {
+  const presets = libraryFile ? [...readMaterials(await readFile(libraryFile, 'utf8')), ...DEFAULT_MATERIALS] : DEFAULT_MATERIALS;
+  if (name === undefined) return presets[0];
+  const preset = presets.find((p) => p.name.toLowerCase() === name.toLowerCase());
+  if (!preset) throw new UsageError(`Unknown --material "${name}". Known: ${presets.map((p) => p.name).join(', ')}`);
+  return preset;
+}
+
+// Turns the command line into one settings object shared by every model
+async function readOptions(values) {
+  if (!['stack', 'waffle', 'radial'].includes(values.mode)) throw new UsageError(`Unknown --mode "${values.mode}"`);
+  if (!['svg', 'dxf', 'both'].includes(values.format)) throw new UsageError(`Unknown --format "${values.format}"`);
+  let material;
+  try {
+    material = await findMaterial(values.material, values.materials);
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`--materials ${values.materials}: ${err.message}`);
+  }
+  const kerf = values.kerf !== undefined ? Number(values.kerf) : material.kerf;
+  if (!(kerf >= 0)) throw new UsageError(`--kerf must be zero or more, got "${values.kerf}"`);
+  const spacing = Number(values.spacing);
+  if (!(spacing >= 0)) throw new UsageError(`--spacing must be zero or more, got "${values.spacing}"`);
+  const [sheetWidth, sheetHeight] = values.sheet !== undefined ? dimensions('sheet', values.sheet, 2) : [material.sheet.width, material.sheet.height];
+  const [width, height, depth] = values.fit !== undefined ? dimensions('fit', values.fit, 3) : [];
+  return {
+    ...parsePlane(values.plane),
+    thickness: values.thickness !== undefined ? positive('thickness', values.thickness) : nearestThickness(material.thicknesses, 4),
+    scale: values.scale !== undefined ? positive('scale', values.scale) : null,
+    fitBox: values.fit !== undefined ? { width, height, depth } : material.fitBox,
+    mode: values.mode,
+    kerf,
+    labels: !values['no-labels'],
+    nesting: { sheetWidth, sheetHeight, spacing, allowRotation: true },
+    formats: values.format === 'both' ? ['svg', 'dxf'] : [values.format],
+    layerList: values.layers,
+    out: values.out,
+  };
+}
+
+async function sliceFile(file, options) {
+  const bytes = await readFile(file);
+  const { geometry } = parseMesh(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), path.basename(file));
+  const mesh = indexMesh(geometry.attributes.position.array, geometry.index ? geometry.index.array : null);
+  const bbox = boundsOf(mesh.positions);
+
+  // Same auto-fit as the viewer: the largest uniform scale that keeps the model inside the box
+  const [x, y, z] = bbox.max.map((v, k) => v - bbox.min[k]);
+  const scale = options.scale ?? fitScale({ x, y, z }, options.fitBox);
+  const name = path.basename(file).replace(/\.[^.]+$/, '');
+
+  const { slices, layers } = await sliceAll(mesh, bbox, {
+    ...PAYLOAD_DEFAULTS,
+    sliceHeight: options.thickness,
+    slicingPlane: options.slicingPlane,
+    planeNormal: options.planeNormal,
+    scaleX: scale,
+    scaleY: scale,
+    scaleZ: scale,
+    kerf: options.kerf,
+    mode: options.mode,
+    labels: options.labels,
+    modelName: name.toUpperCase().slice(0, 16),
+  });
+  const { sheets, unplaced } = nestSlices(slices, options.nesting);
+
+  await mkdir(options.out, { recursive: true });
+  const written = [];
+  const write = async (fileName, text) => {
+    const target = path.join(options.out, fileName);
+    await writeFile(target, text);
+    written.push(target);
+  };
+  for (const format of options.formats) {
+    for (let i = 0; i < sheets.length; i++) {
+      await write(sheetFileName(sheets[i], i, format, name), format === 'svg' ? sheetSvg(sheets[i]) : sheetDxf(sheets[i]));
+    }
+  }
+  if (options.layerList && layers.length) {
+    // Oblique planes are written as their unit normal, as the viewer does
+    const plane = options.slicingPlane === 'custom' ? resolvePlane('custom', options.planeNormal).normal.map((c) => c.toFixed(4)).join(' ') : options.slicingPlane;
+    await write(`${name}-layers.csv`, layerListCsv(layers, plane));
+  }
+
+  console.log(`${file}: ${count(slices.length, 'part')} on ${count(sheets.length, 'sheet')} at scale ${+scale.toFixed(4)}`);
+  written.forEach((target) => console.log(`  ${target}`));
+  const unclosed = slices.filter((s) => s.openPaths.length);
+  if (unclosed.length) console.warn(`${file}: ${count(unclosed.length, 'part')} could not be closed at ${unclosed.map((s) => `${s.plane} ${s.value.toFixed(2)}`).join(', ')}; check the mesh for holes`);
+  const unjoined = slices.filter((s) => s.unjoined);
+  if (unjoined.length) console.warn(`${file}: ${count(unjoined.length, 'hub')} not reached by any fin; raise the hub diameter or they will not interlock`);
+  if (unplaced.length) console.warn(`${file}: ${count(unplaced.length, 'part')} larger than a ${options.nesting.sheetWidth}×${options.nesting.sheetHeight} mm sheet left out`);
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  if (parsed.values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!parsed.positionals.length) throw new UsageError('No model file given');
+  const options = await readOptions(parsed.values);
+
+  let failed = 0;
+  for (const file of parsed.positionals) {
+    try {
+      await sliceFile(file, options);
+    } catch (err) {
+      console.error(`${file}: ${err.message}`);
+      failed += 1;
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`slicr: ${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  });
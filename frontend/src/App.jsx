@@ -1,33 +1,75 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import STLViewer from "./components/STLViewer";
+import { MESH_EXTENSIONS } from "./components/meshImport";
+import { isProjectFile, readProject, PROJECT_EXTENSION } from "./components/projectFile";
+import { loadAutosave, clearAutosave } from "./components/autosave";
 
 export default function App() {
   const [stlFileUrl, setStlFileUrl] = useState(null);
   const [fileName, setFileName] = useState(null);
+  const [project, setProject] = useState(null);
+  const [openError, setOpenError] = useState(null);
+  const [recovery, setRecovery] = useState(null);
 
-  const handleFileChange = (event) => {
+  // Offer the autosaved session, if any, until a file is opened
+  useEffect(() => {
+    loadAutosave()
+      .then((saved) => setRecovery(saved))
+      .catch((err) => console.warn("Autosave unavailable:", err));
+  }, []);
+
+  const openModel = (bytes, name, state) => {
+    if (stlFileUrl) URL.revokeObjectURL(stlFileUrl);
+    setStlFileUrl(URL.createObjectURL(new Blob([bytes])));
+    setFileName(name);
+    setProject(state);
+    setRecovery(null);
+  };
+
+  const handleFileChange = async (event) => {
     const file = event.target.files[0];
-    if (file && file.name.endsWith(".stl")) {
-      const url = URL.createObjectURL(file);
-      setStlFileUrl(url);
-      setFileName(file.name);
+    if (!file) return;
+    setOpenError(null);
+    // The format is detected from the contents, so any extension is let through
+    const buffer = await file.arrayBuffer();
+    if (!isProjectFile(buffer)) {
+      openModel(buffer, file.name, null);
       console.log("File uploaded:", file.name);
-      console.log("Blob URL:", url);
-    } else {
-      alert("Please upload a valid .stl file");
+      return;
     }
+    try {
+      const { fileName: modelName, modelBytes, state } = readProject(buffer);
+      openModel(modelBytes, modelName, state);
+      console.log("Project opened:", file.name, "→", modelName);
+    } catch (err) {
+      setOpenError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const discardRecovery = () => {
+    setRecovery(null);
+    clearAutosave().catch((err) => console.warn("Could not clear autosave:", err));
   };
 
   return (
     <div style={{ padding: 20 }}>
-      <h2>Upload an STL file</h2>
-      <input type="file" accept=".stl" onChange={handleFileChange} />
+      <h2>Upload a 3D model</h2>
+      <input type="file" accept={[...MESH_EXTENSIONS, PROJECT_EXTENSION].join(",")} onChange={handleFileChange} />
       {fileName && <p>Loaded file: {fileName}</p>}
+      {openError && <p role="alert" style={{ color: "#c00" }}>{openError}</p>}
+      {recovery && !stlFileUrl && (
+        <p role="status">
+          Unsaved session found: {recovery.fileName}
+          {recovery.savedAt ? ` (${new Date(recovery.savedAt).toLocaleString()})` : ""}{" "}
+          <button onClick={() => openModel(recovery.modelBytes, recovery.fileName, recovery.state)}>Recover</button>{" "}
+          <button onClick={discardRecovery}>Discard</button>
+        </p>
+      )}
       <div style={{ height: "600px", marginTop: 20 }}>
         {stlFileUrl ? (
-          <STLViewer stlFile={stlFileUrl} />
+          <STLViewer stlFile={stlFileUrl} fileName={fileName} project={project} />
         ) : (
-          <p>Please upload an STL file to view it.</p>
+          <p>Please upload an STL, OBJ, 3MF or PLY file, or a {PROJECT_EXTENSION} project, to view it.</p>
         )}
       </div>
     </div>
@@ -0,0 +1,84 @@
+import React from 'react';
+import { formatDuration } from './estimate';
+
+const cell = { textAlign: 'right', paddingRight: 12 };
+
+const Field = ({ label, unit, value, onChange, step = 1 }) => (
+  <label style={{ marginRight: 10 }}>
+    {label}
+    <input
+      type="number"
+      min={0}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const v = parseFloat(e.target.value);
+        if (v > 0) onChange(v);
+      }}
+      style={{ width: 60, margin: '0 4px' }}
+    />
+    {unit}
+  </label>
+);
+
+/**
+ * Material, cost, weight and cut-time totals for the current slice set, with
+ * a per-part breakdown. Everything is derived from props, so it follows any
+ * change to thickness, plane or scale as soon as the new slices arrive.
+ */
+const EstimatorPanel = ({ estimate, params, onChange }) => {
+  const set = (key) => (v) => onChange({ ...params, [key]: v });
+  const sheetList = Object.entries(estimate.sheetsByThickness)
+    .map(([t, n]) => `${n} × ${t} mm`)
+    .join(', ');
+
+  return (
+    <div style={{ padding: 10, background: '#202020', color: '#ddd', fontSize: '0.85em' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center', marginBottom: 8 }}>
+        <Field label="Cut speed" unit="mm/min" value={params.cutSpeed} onChange={set('cutSpeed')} step={10} />
+        <Field label="Engrave speed" unit="mm/min" value={params.engraveSpeed} onChange={set('engraveSpeed')} step={10} />
+        <Field label="Price" unit="/ sheet" value={params.sheetPrice} onChange={set('sheetPrice')} step={0.5} />
+        <Field label="Density" unit="kg/m³" value={params.density} onChange={set('density')} step={10} />
+      </div>
+
+      <div style={{ marginBottom: 8 }}>
+        <strong>{estimate.parts.length} parts</strong>, {(estimate.partArea / 1e6).toFixed(3)} m² of material on{' '}
+        {estimate.sheetCount} sheet(s){sheetList && ` (${sheetList})`}, {(estimate.sheetArea / 1e6).toFixed(3)} m² of stock
+        {estimate.sheetArea > 0 && ` (${Math.round((estimate.partArea / estimate.sheetArea) * 100)} % used)`}
+        <br />
+        Cut {(estimate.cutLength / 1000).toFixed(2)} m, engrave {(estimate.engraveLength / 1000).toFixed(2)} m, ~{formatDuration(estimate.seconds)}
+        {' | '}Cost {estimate.cost.toFixed(2)} | Weight {estimate.weight.toFixed(2)} kg
+        {estimate.unplaced > 0 && (
+          <span style={{ color: '#ffb000' }}> ({estimate.unplaced} part(s) larger than the sheet are not costed)</span>
+        )}
+      </div>
+
+      <div style={{ maxHeight: 180, overflowY: 'auto' }}>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: 'left', paddingRight: 12 }}>Part</th>
+              <th style={cell}>Thickness</th>
+              <th style={cell}>Area (cm²)</th>
+              <th style={cell}>Cut (mm)</th>
+              <th style={cell}>Engrave (mm)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {estimate.parts.map((part) => (
+              <tr key={part.label}>
+                <td style={{ paddingRight: 12 }}>{part.label}</td>
+                <td style={cell}>{part.thickness} mm</td>
+                <td style={cell}>{(part.area / 100).toFixed(1)}</td>
+                <td style={cell}>{Math.round(part.cutLength)}</td>
+                <td style={cell}>{Math.round(part.engraveLength)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default EstimatorPanel;
@@ -0,0 +1,132 @@
+import React, { useMemo } from 'react';
+import { planToolpaths, generateGcode } from './gcode';
+import { formatDuration } from './estimate';
+
+const OP_COLORS = { engrave: '#3399ff', hole: '#ffa500', outline: '#ff0000' };
+
+const subPath = (path, height, closed) => {
+  const pts = [];
+  for (let i = 0; i < path.length; i += 2) pts.push(`${path[i].toFixed(2)} ${(height - path[i + 1]).toFixed(2)}`);
+  return `M ${pts.join(' L ')}${closed ? ' Z' : ''}`;
+};
+
+// Labelled number input bound to one settings path, e.g. ['laser', 'cut', 'power']
+const NumberField = ({ label, params, path, onChange, step = 1, min = 0 }) => {
+  const value = path.reduce((o, k) => o[k], params);
+  const set = (v) => {
+    const next = JSON.parse(JSON.stringify(params));
+    path.slice(0, -1).reduce((o, k) => o[k], next)[path[path.length - 1]] = v;
+    onChange(next);
+  };
+  return (
+    <label style={{ marginRight: 10 }}>
+      {label}
+      <input
+        type="number"
+        min={min}
+        step={step}
+        value={value}
+        onChange={(e) => {
+          const v = parseFloat(e.target.value);
+          if (v >= min) set(v);
+        }}
+        style={{ width: 60, marginLeft: 4 }}
+      />
+    </label>
+  );
+};
+
+/**
+ * G-code settings for laser or CNC, a toolpath preview per nested sheet
+ * (cuts coloured by operation, rapids dashed) and the estimated run time.
+ * `kerf` is the slicing kerf the parts were already grown by: a laser cuts
+ * them as they are, a router offsets by the tool radius less that half-kerf.
+ */
+const GcodePanel = ({ sheets, params, kerf = 0, onChange, onExport, width = 240 }) => {
+  const jobs = useMemo(
+    () =>
+      sheets.map((sheet) => {
+        const { ops, skipped } = planToolpaths(sheet, params, kerf);
+        return { ops, skipped, ...generateGcode(ops, params, sheet.thickness) };
+      }),
+    [sheets, params, kerf]
+  );
+  const field = (label, path, step, min) => <NumberField label={label} params={params} path={path} onChange={onChange} step={step} min={min} />;
+  const total = jobs.reduce((sum, j) => sum + j.seconds, 0);
+
+  return (
+    <div style={{ padding: 10, background: '#202020', color: '#ddd', fontSize: '0.85em' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center', marginBottom: 8 }}>
+        <label style={{ marginRight: 10 }}>
+          Machine:
+          <select value={params.machine} onChange={(e) => onChange({ ...params, machine: e.target.value })} style={{ marginLeft: 4 }}>
+            <option value="laser">GRBL laser</option>
+            <option value="cnc">GRBL CNC router</option>
+          </select>
+        </label>
+        {params.machine === 'laser' ? (
+          <>
+            <strong>Cut</strong>
+            {field('power %', ['laser', 'cut', 'power'])}
+            {field('speed', ['laser', 'cut', 'speed'], 10)}
+            {field('passes', ['laser', 'cut', 'passes'], 1, 1)}
+            <strong>Engrave</strong>
+            {field('power %', ['laser', 'engrave', 'power'])}
+            {field('speed', ['laser', 'engrave', 'speed'], 10)}
+            {field('passes', ['laser', 'engrave', 'passes'], 1, 1)}
+            {field('max S', ['laser', 'maxPower'], 100)}
+          </>
+        ) : (
+          <>
+            <span title="Parts already include the slicing kerf; the router offsets by the tool radius minus half of it">
+              {field('tool ⌀', ['cnc', 'toolDiameter'], 0.1)}
+            </span>
+            {field('depth/pass', ['cnc', 'cut', 'depthPerPass'], 0.1, 0.1)}
+            {field('feed', ['cnc', 'cut', 'feed'], 10)}
+            {field('plunge', ['cnc', 'plunge'], 10)}
+            {field('engrave depth', ['cnc', 'engrave', 'depth'], 0.1)}
+            {field('safe Z', ['cnc', 'safeZ'], 0.5)}
+            {field('rpm', ['cnc', 'spindle'], 1000)}
+          </>
+        )}
+        <button onClick={() => onExport(jobs)} disabled={!jobs.length} style={{ padding: '3px 8px' }}>
+          Export G-code
+        </button>
+        {jobs.length > 0 && <span>Estimated total: {formatDuration(total)}</span>}
+        {params.machine === 'cnc' && kerf > 0 && (
+          <span style={{ color: '#aaa' }}>
+            Slicing kerf {kerf} mm already applied; tool offset {(params.cnc.toolDiameter / 2 - kerf / 2).toFixed(3)} mm
+          </span>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 10 }}>
+        {sheets.map((sheet, i) => (
+          <figure key={i} style={{ margin: 0 }}>
+            <svg
+              viewBox={`0 0 ${sheet.width} ${sheet.height}`}
+              width={width}
+              height={(width * sheet.height) / sheet.width}
+              style={{ background: '#111', display: 'block' }}
+            >
+              <g fill="none" strokeWidth={Math.max(sheet.width, sheet.height) / width}>
+                {jobs[i].ops.map((op, j) => (
+                  <path key={j} d={subPath(op.path, sheet.height, op.closed)} stroke={OP_COLORS[op.kind]} />
+                ))}
+                {jobs[i].rapids.map(([x0, y0, x1, y1], j) => (
+                  <line key={`r${j}`} x1={x0} y1={sheet.height - y0} x2={x1} y2={sheet.height - y1} stroke="#777" strokeDasharray="4 3" />
+                ))}
+              </g>
+            </svg>
+            <figcaption>
+              Sheet {i + 1}: {jobs[i].ops.length} paths, {Math.round(jobs[i].cutLength)} mm cut, ~{formatDuration(jobs[i].seconds)}
+              {jobs[i].skipped > 0 && <span style={{ color: '#ffb000' }}> ({jobs[i].skipped} hole(s) narrower than the tool skipped)</span>}
+            </figcaption>
+          </figure>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GcodePanel;
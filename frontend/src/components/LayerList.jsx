@@ -0,0 +1,98 @@
+import React from 'react';
+
+/**
+ * Layer table for adaptive / manual stacks. In manual mode positions and
+ * thicknesses are editable and layers can be added or removed; the range
+ * input doubles as a drag handle along the slicing axis.
+ */
+const LayerList = ({
+  layers, editable, min, max, thicknessOptions, selectedIndex, onSelect, onChange,
+}) => {
+  const update = (i, patch) => onChange(layers.map((l, j) => (j === i ? { ...l, ...patch } : l)));
+  const remove = (i) => onChange(layers.filter((_, j) => j !== i));
+  const add = () => {
+    // New layer goes into the middle of the widest gap in the stack
+    const edges = [min, ...layers.map((l) => l.value).sort((a, b) => a - b), max];
+    let gap = { at: (min + max) / 2, size: -1 };
+    for (let i = 0; i + 1 < edges.length; i++) {
+      if (edges[i + 1] - edges[i] > gap.size) gap = { at: (edges[i] + edges[i + 1]) / 2, size: edges[i + 1] - edges[i] };
+    }
+    onChange([...layers, { value: gap.at, thickness: layers[layers.length - 1]?.thickness ?? thicknessOptions[0] }]);
+  };
+
+  return (
+    <div style={{ maxHeight: 220, overflowY: 'auto', padding: 10, background: '#202020', color: '#ddd', fontSize: '0.85em' }}>
+      <table style={{ borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left', paddingRight: 10 }}>#</th>
+            <th style={{ textAlign: 'left', paddingRight: 10 }}>Position (mm)</th>
+            <th style={{ textAlign: 'left', paddingRight: 10 }}>Thickness</th>
+            {editable && <th />}
+          </tr>
+        </thead>
+        <tbody>
+          {layers.map((layer, i) => (
+            <tr
+              key={i}
+              onClick={() => onSelect(i)}
+              style={{ background: i === selectedIndex ? '#3a3f4b' : undefined, cursor: 'pointer' }}
+            >
+              <td style={{ paddingRight: 10 }}>{i + 1}</td>
+              <td style={{ paddingRight: 10 }}>
+                {editable ? (
+                  <>
+                    <input
+                      type="range"
+                      min={min}
+                      max={max}
+                      step={0.1}
+                      value={layer.value}
+                      onChange={(e) => update(i, { value: parseFloat(e.target.value) })}
+                      style={{ width: 120, verticalAlign: 'middle' }}
+                    />
+                    <input
+                      type="number"
+                      step={0.1}
+                      value={Number(layer.value.toFixed(2))}
+                      onChange={(e) => {
+                        const v = parseFloat(e.target.value);
+                        if (!isNaN(v)) update(i, { value: Math.min(max, Math.max(min, v)) });
+                      }}
+                      style={{ width: 65, marginLeft: 5 }}
+                    />
+                  </>
+                ) : (
+                  layer.value.toFixed(2)
+                )}
+              </td>
+              <td style={{ paddingRight: 10 }}>
+                {editable ? (
+                  <select value={layer.thickness} onChange={(e) => update(i, { thickness: parseFloat(e.target.value) })}>
+                    {thicknessOptions.map((t) => (
+                      <option key={t} value={t}>{t} mm</option>
+                    ))}
+                  </select>
+                ) : (
+                  `${layer.thickness} mm`
+                )}
+              </td>
+              {editable && (
+                <td>
+                  <button onClick={(e) => { e.stopPropagation(); remove(i); }}>✕</button>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {editable && (
+        <button onClick={add} style={{ marginTop: 5 }}>
+          + Add layer
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LayerList;
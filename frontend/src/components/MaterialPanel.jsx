@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { DEFAULT_MATERIALS, activeMaterial, normalizeMaterial, readMaterials, importMaterials } from './materials';
+
+const Field = ({ label, unit, value, onChange, min = 0, step = 1 }) => (
+  <label style={{ marginRight: 10 }}>
+    {label}
+    <input
+      type="number"
+      min={min}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const v = parseFloat(e.target.value);
+        if (v >= min) onChange(v);
+      }}
+      style={{ width: 60, margin: '0 4px' }}
+    />
+    {unit}
+  </label>
+);
+
+/**
+ * Editor for the material library: the active preset's name, thicknesses,
+ * sheet size, kerf and fit box, plus adding, removing, importing and
+ * exporting presets. The library itself is owned by the caller.
+ */
+const MaterialPanel = ({ library, onChange, onExport }) => {
+  const [error, setError] = useState(null);
+  const preset = activeMaterial(library);
+
+  // Replaces the active preset, which stays active under its new name
+  const update = (changes) => {
+    try {
+      const next = normalizeMaterial({ ...preset, ...changes });
+      if (next.name !== preset.name && library.presets.some((p) => p.name === next.name)) {
+        throw new Error(`There is already a material called "${next.name}"`);
+      }
+      onChange({ active: next.name, presets: library.presets.map((p) => (p === preset ? next : p)) });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const duplicate = () => {
+    const taken = new Set(library.presets.map((p) => p.name));
+    let name = `${preset.name} copy`;
+    for (let n = 2; taken.has(name); n++) name = `${preset.name} copy ${n}`;
+    onChange({ active: name, presets: [...library.presets, { ...preset, name }] });
+  };
+
+  const remove = () => {
+    const presets = library.presets.filter((p) => p !== preset);
+    onChange({ active: presets[0].name, presets });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onChange(importMaterials(library, readMaterials(await file.text())));
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  // Text fields commit on blur, so a half-typed name or list is never applied
+  const commitOnEnter = (e) => e.key === 'Enter' && e.target.blur();
+
+  return (
+    <div style={{ padding: 10, background: '#202020', color: '#ddd', fontSize: '0.85em' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center', marginBottom: 8 }}>
+        <label style={{ marginRight: 10 }}>
+          Name
+          <input
+            key={`name-${preset.name}`}
+            defaultValue={preset.name}
+            onBlur={(e) => e.target.value.trim() !== preset.name && update({ name: e.target.value })}
+            onKeyDown={commitOnEnter}
+            style={{ width: 130, marginLeft: 4 }}
+          />
+        </label>
+        <label style={{ marginRight: 10 }} title="Sheet thicknesses in stock, separated by commas">
+          Thicknesses
+          <input
+            key={`thicknesses-${preset.name}-${preset.thicknesses.join()}`}
+            defaultValue={preset.thicknesses.join(', ')}
+            onBlur={(e) => update({ thicknesses: e.target.value.split(/[,\s]+/).filter(Boolean).map(Number) })}
+            onKeyDown={commitOnEnter}
+            style={{ width: 120, margin: '0 4px' }}
+          />
+          mm
+        </label>
+        <Field label="Kerf" unit="mm" value={preset.kerf} onChange={(kerf) => update({ kerf })} step={0.05} />
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center', marginBottom: 8 }}>
+        <span style={{ marginRight: 4 }}>Sheet</span>
+        <Field label="W" value={preset.sheet.width} onChange={(width) => update({ sheet: { ...preset.sheet, width } })} min={1} step={10} />
+        <Field label="H" unit="mm" value={preset.sheet.height} onChange={(height) => update({ sheet: { ...preset.sheet, height } })} min={1} step={10} />
+        <span style={{ marginRight: 4 }} title="Newly loaded models are scaled to fit this box">Fit box</span>
+        <Field label="W" value={preset.fitBox.width} onChange={(width) => update({ fitBox: { ...preset.fitBox, width } })} min={1} step={10} />
+        <Field label="H" value={preset.fitBox.height} onChange={(height) => update({ fitBox: { ...preset.fitBox, height } })} min={1} step={10} />
+        <Field label="D" unit="mm" value={preset.fitBox.depth} onChange={(depth) => update({ fitBox: { ...preset.fitBox, depth } })} min={1} step={10} />
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center' }}>
+        <button onClick={duplicate}>Duplicate</button>
+        <button onClick={remove} disabled={library.presets.length < 2}>Delete</button>
+        <button onClick={() => onChange(importMaterials(library, DEFAULT_MATERIALS))} title="Adds the built-in presets back, replacing edited ones of the same name">
+          Restore built-ins
+        </button>
+        <button onClick={() => onExport(library.presets)}>Export JSON</button>
+        <label>
+          Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} style={{ marginLeft: 4 }} />
+        </label>
+        {error && <span role="alert" style={{ color: '#ffb000' }}>{error}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default MaterialPanel;
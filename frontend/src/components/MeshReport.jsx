@@ -0,0 +1,75 @@
+import React from 'react';
+
+export const ISSUE_COLORS = { openEdges: '#ffdd00', nonManifoldEdges: '#ff00ff', faces: '#ff3030' };
+
+const Swatch = ({ color }) => (
+  <span style={{ display: 'inline-block', width: 10, height: 10, background: color, marginRight: 4, verticalAlign: 'middle' }} />
+);
+
+/**
+ * Mesh check results with the colours used to highlight them in the scene,
+ * and the automatic repair (weld, drop bad triangles, unify winding, fill
+ * holes up to a size).
+ */
+const MeshReport = ({ report, highlight, onToggleHighlight, maxHoleEdges, onMaxHoleEdgesChange, onRepair, lastRepair }) => {
+  if (!report) return null;
+  const issues = [
+    report.looseVertices > 0 && { text: `${report.looseVertices} unwelded vertices` },
+    report.degenerate > 0 && { text: `${report.degenerate} degenerate triangles`, color: ISSUE_COLORS.faces },
+    report.duplicate > 0 && { text: `${report.duplicate} duplicate triangles`, color: ISSUE_COLORS.faces },
+    report.flipped > 0 && { text: `${report.flipped} flipped triangles`, color: ISSUE_COLORS.faces },
+    report.openEdges > 0 && {
+      text: `${report.openEdges} open edges in ${report.holes} hole(s), ${report.fillableHoles} fillable`,
+      color: ISSUE_COLORS.openEdges,
+    },
+    report.nonManifoldEdges > 0 && { text: `${report.nonManifoldEdges} non-manifold edges (not repairable)`, color: ISSUE_COLORS.nonManifoldEdges },
+  ].filter(Boolean);
+
+  return (
+    <div style={{ padding: '6px 10px', background: '#202020', color: '#ddd', fontSize: '0.85em', display: 'flex', flexWrap: 'wrap', gap: 12, alignItems: 'center' }}>
+      <strong>Mesh check:</strong>
+      {report.ok ? (
+        <span style={{ color: '#7cd67c' }}>watertight, {report.triangles} triangles</span>
+      ) : (
+        issues.map(({ text, color }) => (
+          <span key={text} style={{ color: '#ffb000' }}>
+            {color && <Swatch color={color} />}
+            {text}
+          </span>
+        ))
+      )}
+      {!report.ok && (
+        <>
+          <label>
+            <input type="checkbox" checked={highlight} onChange={onToggleHighlight} style={{ marginRight: 5 }} />
+            Highlight
+          </label>
+          <label title="Holes with more open edges than this are left open">
+            Fill holes up to
+            <input
+              type="number"
+              min={3}
+              step={1}
+              value={maxHoleEdges}
+              onChange={(e) => {
+                const v = parseInt(e.target.value, 10);
+                if (v >= 3) onMaxHoleEdgesChange(v);
+              }}
+              style={{ width: 50, margin: '0 4px' }}
+            />
+            edges
+          </label>
+          <button onClick={onRepair} style={{ padding: '3px 8px' }}>Repair</button>
+        </>
+      )}
+      {lastRepair && (
+        <span>
+          Last repair: {lastRepair.merged} merged, {lastRepair.degenerate + lastRepair.duplicate} removed, {lastRepair.flipped} flipped,{' '}
+          {lastRepair.holesFilled} hole(s) filled{lastRepair.holesLeft > 0 ? `, ${lastRepair.holesLeft} too large` : ''}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default MeshReport;
@@ -1,67 +1,310 @@
 /* eslint-disable no-console */
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import * as THREE from 'three';
-import { STLLoader } from 'three-stdlib';
-import { OrbitControls } from 'three-stdlib';
+import { OrbitControls, TransformControls } from 'three-stdlib';
 import { saveAs } from 'file-saver';
+import { parseMesh } from './meshImport';
+import { repairMesh, MAX_HOLE_EDGES } from './meshRepair';
+import { nestSlices, sheetFileName, sheetSvg, sheetDxf, layerListCsv } from './exporters';
+import { buildPrintTemplates, PAPER_SIZES } from './printTemplates';
+import SheetPreview from './SheetPreview';
+import LayerList from './LayerList';
+import GcodePanel from './GcodePanel';
+import MeshReport, { ISSUE_COLORS } from './MeshReport';
+import EstimatorPanel from './EstimatorPanel';
+import MaterialPanel from './MaterialPanel';
+import SliceInspector from './SliceInspector';
+import { estimateJob, ESTIMATE_DEFAULTS } from './estimate';
+import { writeProject, PROJECT_EXTENSION } from './projectFile';
+import { autosaveModel, autosaveState } from './autosave';
+import { buildAssembly, poseAssembly, stackDeviation, deviationColors } from './assembly';
+import { GCODE_DEFAULTS } from './gcode';
+import { loadMaterials, saveMaterials, activeMaterial, normalizeMaterial, importMaterials, writeMaterials, fitScale, nearestThickness } from './materials';
 
 // ─── Worker import (CRA / Vite compatible) ─────────────────────────
 const SlicerWorker = new Worker(new URL('../workers/slicerWorker.js', import.meta.url));
 
-const PLYWOOD_BOX = { w: 200, h: 200, d: 300 };   // mm
-const ALLOWED_THICKNESS = [0.5, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+// Slicing settings that follow the material: its kerf, and only thicknesses it comes in
+const materialParams = ({ thicknesses, kerf }, p) => {
+  const adaptive = p.thicknesses.filter((t) => thicknesses.includes(t));
+  return {
+    kerf,
+    sliceHeight: nearestThickness(thicknesses, p.sliceHeight),
+    thicknesses: adaptive.length ? adaptive : thicknesses.slice(0, 2),
+  };
+};
+
+const AXIS_NORMALS = { X: [1, 0, 0], Y: [0, 1, 0], Z: [0, 0, 1] };
+
+// Unit normal of the slicing plane; 'custom' uses the user-set vector
+const planeNormalOf = (plane, custom) => {
+  const n = new THREE.Vector3(...(AXIS_NORMALS[plane] || custom));
+  return n.lengthSq() > 1e-12 ? n.normalize() : new THREE.Vector3(0, 0, 1);
+};
+
+// Lifts a flat [u0, v0, u1, v1, …] contour back into model space using the slice basis
+const liftPath = (path, { origin, u, v }) => {
+  const out = new Float32Array((path.length / 2) * 3);
+  for (let i = 0, j = 0; i < path.length; i += 2, j += 3) {
+    for (let k = 0; k < 3; k++) out[j + k] = origin[k] + path[i] * u[k] + path[i + 1] * v[k];
+  }
+  return out;
+};
+
+const addSliceLine = (scene, path, basis, color, closed, visible) => {
+  const sliceGeometry = new THREE.BufferGeometry();
+  sliceGeometry.setAttribute('position', new THREE.Float32BufferAttribute(liftPath(path, basis), 3));
+  const sliceMaterial = new THREE.LineBasicMaterial({ color });
+  const sliceLine = closed ? new THREE.LineLoop(sliceGeometry, sliceMaterial) : new THREE.Line(sliceGeometry, sliceMaterial);
+  sliceLine.name = 'sliceLine';
+  sliceLine.visible = visible;
+  scene.add(sliceLine);
+};
+
+const drawSlice = (scene, { shapes, openPaths, basis }, visible = true) => {
+  shapes.forEach(({ outer, holes, engrave }) => {
+    addSliceLine(scene, outer, basis, 0xff0000, true, visible);
+    holes.forEach((path) => addSliceLine(scene, path, basis, 0xffa500, true, visible));
+    engrave.forEach((path) => addSliceLine(scene, path, basis, 0x3399ff, false, visible));
+  });
+  openPaths.forEach((path) => addSliceLine(scene, path, basis, 0x00ff00, false, visible));
+};
+
+const JOB_STAGES = { planning: 'Planning layers', sections: 'Sectioning', slicing: 'Slicing', orienting: 'Orienting' };
+
+const disposeByName = (scene, name) => {
+  const old = scene.getObjectByName(name);
+  if (!old) return;
+  scene.remove(old);
+  old.traverse((obj) => {
+    obj.geometry?.dispose();
+    // Materials marked shared (the plate pair) outlive any one object
+    [].concat(obj.material || []).forEach((m) => m.userData.shared || m.dispose());
+  });
+};
+
+// Replaces the displayed model and its feature-edge outline
+const showModel = (scene, geometry) => {
+  disposeByName(scene, 'stlMesh');
+  disposeByName(scene, 'modelOutline');
+  const material = new THREE.MeshPhongMaterial({ color: 0x00aaff, transparent: false, opacity: 1, flatShading: true });
+  // Mesh stays at the origin so its world coordinates match the slice space
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = 'stlMesh';
+  scene.add(mesh);
+
+  const edges = new THREE.EdgesGeometry(geometry, 30);
+  const outlineMat = new THREE.LineBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.8 });
+  const outlines = new THREE.LineSegments(edges, outlineMat);
+  outlines.name = 'modelOutline';
+  scene.add(outlines);
+};
+
+const DEG = Math.PI / 180;
+
+// Model rotations are kept as XYZ Euler angles in degrees
+const rotationMatrix = (rotation) => new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(...rotation.map((a) => a * DEG), 'XYZ'));
 
-const STLViewer = ({ stlFile }) => {
+const rotationAngles = (matrix) => {
+  const e = new THREE.Euler().setFromRotationMatrix(matrix, 'XYZ');
+  // + 0 turns -0 into 0 for the inputs
+  return [e.x, e.y, e.z].map((a) => Math.round((a / DEG) * 100) / 100 + 0);
+};
+
+/**
+ * Where the model sits before scaling: rotated, then optionally put on the
+ * bed, centred over the origin with its lowest point at Z = 0. The box comes
+ * from the turned vertices, so it stays tight at any angle.
+ * @returns {{ matrix: THREE.Matrix4, box: THREE.Box3, rotation: number[], offset: number[] }}
+ *   rotation is the column-major 3×3 part and offset the translation, as the worker takes them
+ */
+function placeModel(geometry, rotation, onBed = false) {
+  const matrix = rotationMatrix(rotation);
+  const position = geometry.attributes.position;
+  const box = new THREE.Box3();
+  const p = new THREE.Vector3();
+  for (let i = 0; i < position.count; i++) box.expandByPoint(p.fromBufferAttribute(position, i).applyMatrix4(matrix));
+  const offset = new THREE.Vector3();
+  if (onBed && position.count) {
+    box.getCenter(offset).negate();
+    offset.z = -box.min.z;
+    box.translate(offset);
+    matrix.setPosition(offset);
+  }
+  return { matrix, box, rotation: new THREE.Matrix3().setFromMatrix4(matrix).toArray(), offset: offset.toArray() };
+}
+
+// Objects drawn in model space take the placement and scale as one matrix
+const setModelMatrix = (object, matrix) => {
+  if (!object || !matrix) return;
+  object.matrixAutoUpdate = false;
+  object.matrix.copy(matrix);
+  object.matrixWorldNeedsUpdate = true;
+};
+
+// Repaired, indexed copy of a geometry with normals and bounds; the fixes
+// remember the hole limit so a saved project can repeat the repair
+const repairGeometry = (geometry, maxHoleEdges) => {
+  const { positions, index, fixes } = repairMesh(geometry.attributes.position.array, geometry.index?.array || null, { maxHoleEdges });
+  const repaired = new THREE.BufferGeometry();
+  repaired.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  repaired.setIndex(new THREE.BufferAttribute(index, 1));
+  repaired.computeVertexNormals();
+  repaired.computeBoundingBox();
+  return { geometry: repaired, fixes: { ...fixes, maxHoleEdges } };
+};
+
+const AUTOSAVE_DELAY = 1000; // ms after the last change
+const BUILD_STEP_DELAY = 250; // ms between plates in the build animation
+
+/**
+ * `project` is the saved state of a reopened .slicr project or recovered
+ * session; it is applied once its model has loaded.
+ */
+const STLViewer = ({ stlFile, fileName, project = null }) => {
   /* ----------------------------------------------------------
      1.  Refs & State
   ---------------------------------------------------------- */
   const mountRef = useRef(null);
+  const modelBytesRef = useRef(null);
   const [sceneState, setSceneState] = useState({ scene: null, renderer: null, camera: null, controls: null });
   const [geometry, setGeometry] = useState(null);
-  const [originalDimensions, setOriginalDimensions] = useState({ x: 0, y: 0, z: 0 });
+  const [loadError, setLoadError] = useState(null);
   const [targetDimensions, setTargetDimensions] = useState({ width: 0, height: 0, depth: 0 });
   const [currentScale, setCurrentScale] = useState({ x: 1, y: 1, z: 1 });
 
-  const [slicingParams, setSlicingParams] = useState({
-    sliceHeight: 4,        // default 4 mm
-    numSlices: 10,         // default 10 slices
-    cutouts: 3,            // default 3 cut-outs
-    showSlices: true,
-    currentLayerIndex: 0,
-    currentSliceValue: 0,
-    singleSliceMode: false,
-    slicingPlane: 'Z',
-    scaleX: 1,
-    scaleY: 1,
-    scaleZ: 1,
+  const [materials, setMaterials] = useState(loadMaterials);
+  const material = activeMaterial(materials);
+  // The loader reads the fit box without reloading when the material changes
+  const materialRef = useRef(material);
+  materialRef.current = material;
+
+  const [slicingParams, setSlicingParams] = useState(() => {
+    const defaults = {
+      sliceHeight: 4,        // default 4 mm, or the nearest the material comes in
+      numSlices: 10,         // default 10 slices
+      cutouts: 3,            // default 3 cut-outs
+      kerf: 0,               // mm of material removed by the beam / tool, set by the material
+      mode: 'stack',         // 'stack' = parallel layers, 'waffle' = interlocking ribs, 'radial' = fins around an axis
+      labels: true,          // engrave layer marks onto every part
+      dowelCount: 0,         // alignment holes through the whole stack
+      dowelDiameter: 6,      // mm
+      dowelPoints: [],       // picked [u, v] centres, override dowelCount when set
+      glueGuides: false,     // engrave the next layer's outline onto each slice
+      layerMode: 'uniform',  // 'uniform' | 'adaptive' | 'manual'
+      thicknesses: [3, 6],   // sheet thicknesses the adaptive planner may use
+      adaptiveTolerance: 1,  // mm of allowed stepping deviation per plate
+      manualLayers: [],      // [{ value, thickness }] in manual mode
+      finCount: 12,          // radial mode: profiles around the axis
+      hubCount: 2,           // radial mode: slotted discs holding the fins
+      hubDiameter: 40,       // mm
+      spineDiameter: 0,      // mm central rod through the hubs, 0 = none
+      currentLayerIndex: 0,
+      currentSliceValue: 0,
+      singleSliceMode: false,
+      slicingPlane: 'Z',     // 'X' | 'Y' | 'Z' | 'custom'
+      planeNormal: [0, 1, 1], // custom plane normal, need not be unit length
+      rotation: [0, 0, 0],   // model rotation, XYZ Euler degrees, applied before scaling
+      placeOnBed: false,     // centre the model over the origin, lowest point at Z = 0
+      scaleX: 1,
+      scaleY: 1,
+      scaleZ: 1,
+    };
+    return { ...defaults, ...materialParams(material, defaults) };
   });
+  // A project cut from other stock keeps its thickness selectable
+  const thicknessOptions = useMemo(
+    () =>
+      material.thicknesses.includes(slicingParams.sliceHeight)
+        ? material.thicknesses
+        : [...material.thicknesses, slicingParams.sliceHeight].sort((a, b) => a - b),
+    [material.thicknesses, slicingParams.sliceHeight]
+  );
+
+  useEffect(() => {
+    try {
+      saveMaterials(materials);
+    } catch (err) {
+      console.warn('Material presets not saved:', err);
+    }
+  }, [materials]);
 
   const [showModelOutline, setShowModelOutline] = useState(true);
+  const [showSlices, setShowSlices] = useState(true);
+  // Layers arriving from the worker are drawn hidden while the slices are switched off
+  const showSlicesRef = useRef(showSlices);
+  showSlicesRef.current = showSlices;
   const [showMiddleSlice, setShowMiddleSlice] = useState(false);
+  const [slices, setSlices] = useState([]);
+  const [nestingParams, setNestingParams] = useState({
+    sheetWidth: material.sheet.width,   // mm, from the material
+    sheetHeight: material.sheet.height,
+    spacing: 5,            // mm between parts and from the sheet edge
+    allowRotation: true,
+  });
+  const [showSheets, setShowSheets] = useState(false);
+  const [paperSize, setPaperSize] = useState('A4');
+  const [gcodeParams, setGcodeParams] = useState(GCODE_DEFAULTS);
+  const [showGcode, setShowGcode] = useState(false);
+  const [estimateParams, setEstimateParams] = useState(ESTIMATE_DEFAULTS);
+  const [showEstimate, setShowEstimate] = useState(false);
+  const [showMaterials, setShowMaterials] = useState(false);
+  const [pickingDowels, setPickingDowels] = useState(false);
+  const [layingFlat, setLayingFlat] = useState(false);
+  const [orientGoal, setOrientGoal] = useState('layers'); // 'layers' | 'section'
+  const [showAssembly, setShowAssembly] = useState(false);
+  const [explode, setExplode] = useState(0);           // 0 assembled … 1 fully exploded
+  const [buildStep, setBuildStep] = useState(null);    // plates shown while the build plays, null = all
+  const [showDeviation, setShowDeviation] = useState(false);
+  const [showInspector, setShowInspector] = useState(false);
+  const [layerPlan, setLayerPlan] = useState([]);
+  const [showLayerList, setShowLayerList] = useState(false);
+  const [selectedLayer, setSelectedLayer] = useState(null);
+  const [showPlaneGizmo, setShowPlaneGizmo] = useState(true);
+  const [showMeshIssues, setShowMeshIssues] = useState(true);
+  const [maxHoleEdges, setMaxHoleEdges] = useState(MAX_HOLE_EDGES);
+  const [meshReport, setMeshReport] = useState(null);
+  const analysisIdRef = useRef(0);
+  const [lastRepair, setLastRepair] = useState(null);
+  // Engraved marks use the bare upper-case file name, e.g. "bunny_v2.stl" → "BUNNY_V2"
+  const modelName = (fileName || '').replace(/\.[^.]+$/, '').toUpperCase().slice(0, 16);
   const [debouncedSlicingParams, setDebouncedSlicingParams] = useState(slicingParams);
   const workerInstanceRef = useRef(null);
+  const jobIdRef = useRef(0);
+  const partialSlicesRef = useRef([]);
+  const [sliceProgress, setSliceProgress] = useState(null);
+  const [sliceError, setSliceError] = useState(null);
 
   /* ----------------------------------------------------------
      2.  Web Worker setup
   ---------------------------------------------------------- */
+  // Slices arrive one message per layer and are drawn straight away; React
+  // state only takes the finished set, so nesting and exports run once per job.
   useEffect(() => {
     workerInstanceRef.current = SlicerWorker;
     workerInstanceRef.current.onmessage = (event) => {
-      const { type, payload } = event.data;
-      if (type === 'slicingComplete') {
-        clearSlices(sceneState.scene);
-        payload.forEach(({ value: slicePlaneValue, contours, isFallback, plane }) => {
-          if (!contours.length) return;
-          const color = isFallback ? 0x00ff00 : 0xff0000;
-          const sliceMaterial = new THREE.LineBasicMaterial({ color });
-          const sliceGeometry = new THREE.BufferGeometry();
-          sliceGeometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(contours), 3));
-          const sliceLine = isFallback
-            ? new THREE.LineSegments(sliceGeometry, sliceMaterial)
-            : new THREE.LineLoop(sliceGeometry, sliceMaterial);
-          sliceLine.name = 'sliceLine';
-          sceneState.scene.add(sliceLine);
-        });
+      const { type, jobId } = event.data;
+      // Anything from a superseded job is stale
+      if (jobId !== jobIdRef.current) return;
+      if (type === 'progress') {
+        const { stage, done, total } = event.data;
+        setSliceProgress({ stage, done, total });
+      } else if (type === 'layer') {
+        const { slice, done, total } = event.data;
+        drawSlice(sceneState.scene, slice, showSlicesRef.current);
+        partialSlicesRef.current.push(slice);
+        setSliceProgress({ stage: 'slicing', done, total });
+      } else if (type === 'complete') {
+        setSlices(partialSlicesRef.current);
+        setLayerPlan(event.data.layers);
+        setSliceProgress(null);
+      } else if (type === 'cancelled') {
+        // Keep what was finished before the user stopped the job
+        setSlices(partialSlicesRef.current);
+        setSliceProgress(null);
+      } else if (type === 'error') {
+        setSliceError(event.data.message);
+        setSliceProgress(null);
       }
     };
   }, [sceneState.scene]);
@@ -107,7 +350,9 @@ const STLViewer = ({ stlFile }) => {
       camera.updateProjectionMatrix();
       renderer.setSize(mount.clientWidth, mount.clientHeight);
     };
-    window.addEventListener('resize', resize);
+    // The inspector panel narrows the view without a window resize
+    const observer = new ResizeObserver(resize);
+    observer.observe(mount);
     const animate = () => {
       requestAnimationFrame(animate);
       controls.update();
@@ -116,94 +361,150 @@ const STLViewer = ({ stlFile }) => {
     animate();
     setSceneState({ scene, renderer, camera, controls });
     return () => {
-      window.removeEventListener('resize', resize);
+      observer.disconnect();
       controls.dispose();
       renderer.dispose();
     };
   }, []);
 
   /* ----------------------------------------------------------
-     5.  STL loader + auto-scale to plywood box
+     5.  Model loader (STL / OBJ / 3MF / PLY) + auto-scale to the material's fit box
   ---------------------------------------------------------- */
   useEffect(() => {
     if (!sceneState.scene || !stlFile) return;
-    const loader = new STLLoader();
-    loader.load(
-      stlFile,
-      (loadedGeometry) => {
-        loadedGeometry.computeBoundingBox();
-        setGeometry(loadedGeometry);
+    let cancelled = false;
+    setLoadError(null);
+    fetch(stlFile)
+      .then((res) => res.arrayBuffer())
+      .then((buffer) => {
+        if (cancelled) return;
+        const { geometry: parsed } = parseMesh(buffer, fileName);
+        modelBytesRef.current = buffer;
+        autosaveModel(fileName, buffer).catch((err) => console.warn('Autosave unavailable:', err));
 
         const size = new THREE.Vector3();
-        loadedGeometry.boundingBox.getSize(size);
-        setOriginalDimensions({ x: size.x, y: size.y, z: size.z });
+        parsed.boundingBox.getSize(size);
 
-        const sx = PLYWOOD_BOX.w / size.x;
-        const sy = PLYWOOD_BOX.h / size.y;
-        const sz = PLYWOOD_BOX.d / size.z;
-        const uniformScale = Math.min(sx, sy, sz);
+        const uniformScale = fitScale(size, materialRef.current.fitBox);
 
         const newTarget = {
           width:  size.x * uniformScale,
           height: size.y * uniformScale,
           depth:  size.z * uniformScale,
         };
-        setTargetDimensions(newTarget);
-
-        const material = new THREE.MeshPhongMaterial({ color: 0x00aaff, transparent: false, opacity: 1 });
-        const mesh = new THREE.Mesh(loadedGeometry, material);
-        const center = new THREE.Vector3();
-        loadedGeometry.boundingBox.getCenter(center);
-        mesh.position.sub(center);
-        mesh.name = 'stlMesh';
-
-        const scene = sceneState.scene;
-        const old = scene.getObjectByName('stlMesh');
-        if (old) {
-          scene.remove(old);
-          old.geometry?.dispose();
-          old.material?.dispose();
+        let loadedGeometry = parsed;
+        let repair = null;
+        if (project?.repair) {
+          ({ geometry: loadedGeometry, fixes: repair } = repairGeometry(parsed, project.repair.maxHoleEdges));
+          parsed.dispose();
         }
-        scene.add(mesh);
-
-        const oldOut = scene.getObjectByName('modelOutline');
-        if (oldOut) {
-          scene.remove(oldOut);
-          oldOut.geometry?.dispose();
-          oldOut.material?.dispose();
+        setGeometry(loadedGeometry);
+        setLastRepair(repair);
+        showModel(sceneState.scene, loadedGeometry);
+
+        // Saved settings win over the auto-fit; anything missing keeps its current value,
+        // except the rotation, which belonged to the previous model
+        setTargetDimensions(project?.targetDimensions || newTarget);
+        setSlicingParams((p) => ({ ...p, rotation: [0, 0, 0], ...project?.slicingParams }));
+        if (project) {
+          // The saved slicing, sheet and cost settings already follow the preset,
+          // so it is only selected here, not re-applied
+          if (project.material) {
+            try {
+              const preset = normalizeMaterial(project.material);
+              setMaterials((library) => ({ ...importMaterials(library, [preset]), active: preset.name }));
+            } catch (err) {
+              console.warn('The project material preset is unusable, keeping the current one:', err);
+            }
+          }
+          if (project.nestingParams) setNestingParams((p) => ({ ...p, ...project.nestingParams }));
+          if (project.gcodeParams) setGcodeParams(project.gcodeParams);
+          if (project.estimateParams) setEstimateParams((p) => ({ ...p, ...project.estimateParams }));
+          if (project.paperSize) setPaperSize(project.paperSize);
         }
-        const edges = new THREE.EdgesGeometry(loadedGeometry, 30);
-        const outlineMat = new THREE.LineBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.8 });
-        const outlines = new THREE.LineSegments(edges, outlineMat);
-        outlines.name = 'modelOutline';
-        outlines.visible = showModelOutline;
-        scene.add(outlines);
-      },
-      undefined,
-      (err) => console.error('STL load error:', err)
-    );
-  }, [stlFile, sceneState.scene, showModelOutline]);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Model load error:', err);
+        setLoadError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [stlFile, fileName, project, sceneState.scene]);
+
+  // Toggling the outline must not reload the file, which would undo a repair
+  useEffect(() => {
+    const outline = sceneState.scene?.getObjectByName('modelOutline');
+    if (outline) outline.visible = showModelOutline;
+  }, [showModelOutline, geometry, sceneState.scene]);
+
+  // Hiding the slices must not re-slice either
+  useEffect(() => {
+    sceneState.scene?.children.forEach((c) => {
+      if (c.name === 'sliceLine') c.visible = showSlices;
+    });
+  }, [showSlices, sceneState.scene]);
 
   /* ----------------------------------------------------------
-     6.  Scaling effect (updates mesh scale & camera)
+     6.  Placement & scaling effect (updates model matrix & camera)
   ---------------------------------------------------------- */
+  const planeNormal = useMemo(
+    () => planeNormalOf(slicingParams.slicingPlane, slicingParams.planeNormal),
+    [slicingParams.slicingPlane, slicingParams.planeNormal]
+  );
+
+  // Target dimensions and every range below are measured on the placed model
+  const placement = useMemo(
+    () => geometry && placeModel(geometry, slicingParams.rotation, slicingParams.placeOnBed),
+    [geometry, slicingParams.rotation, slicingParams.placeOnBed]
+  );
+
+  const originalDimensions = useMemo(() => {
+    if (!placement) return { x: 0, y: 0, z: 0 };
+    const size = placement.box.getSize(new THREE.Vector3());
+    return { x: size.x, y: size.y, z: size.z };
+  }, [placement]);
+
+  // Scale applies after placement, so slice space is S·(R·p + offset)
+  const modelMatrix = useMemo(
+    () => placement && new THREE.Matrix4().makeScale(currentScale.x, currentScale.y, currentScale.z).multiply(placement.matrix),
+    [placement, currentScale]
+  );
+
+  useEffect(() => {
+    const scene = sceneState.scene;
+    if (!scene) return;
+    setModelMatrix(scene.getObjectByName('stlMesh'), modelMatrix);
+    setModelMatrix(scene.getObjectByName('modelOutline'), modelMatrix);
+  }, [modelMatrix, sceneState.scene]);
+
+  // Turning the model keeps its scale, so the target size follows the turned bounds
+  const orientModel = useCallback(
+    (rotation) => {
+      if (!geometry) return;
+      const size = placeModel(geometry, rotation).box.getSize(new THREE.Vector3());
+      setTargetDimensions({ width: size.x * currentScale.x, height: size.y * currentScale.y, depth: size.z * currentScale.z });
+      // Picked dowel centres were taken on the old orientation
+      setSlicingParams((p) => ({ ...p, rotation, dowelPoints: [], currentLayerIndex: 0, singleSliceMode: false }));
+      setShowMiddleSlice(false);
+    },
+    [geometry, currentScale]
+  );
+
   useEffect(() => {
-    if (!geometry || !sceneState.scene) return;
-    const mesh = sceneState.scene.getObjectByName('stlMesh');
-    if (!mesh) return;
+    if (!placement || !sceneState.scene) return;
 
     let sx = 1, sy = 1, sz = 1;
     if (originalDimensions.x > 0) sx = targetDimensions.width / originalDimensions.x;
     if (originalDimensions.y > 0) sy = targetDimensions.height / originalDimensions.y;
     if (originalDimensions.z > 0) sz = targetDimensions.depth / originalDimensions.z;
-
-    mesh.scale.set(sx, sy, sz);
     setCurrentScale({ x: sx, y: sy, z: sz });
 
     if (sceneState.camera && sceneState.controls) {
       const size = new THREE.Vector3(originalDimensions.x * sx, originalDimensions.y * sy, originalDimensions.z * sz);
       const center = new THREE.Vector3();
-      geometry.boundingBox.getCenter(center);
+      placement.box.getCenter(center);
       center.multiply(new THREE.Vector3(sx, sy, sz));
 
       const maxDim = Math.max(size.x, size.y, size.z);
@@ -223,44 +524,263 @@ const STLViewer = ({ stlFile }) => {
       currentLayerIndex: 0,
     }));
     setShowMiddleSlice(false);
-  }, [targetDimensions, originalDimensions, geometry, sceneState.scene, sceneState.camera, sceneState.controls]);
+  }, [targetDimensions, originalDimensions, placement, sceneState.scene, sceneState.camera, sceneState.controls]);
+
+  /* ----------------------------------------------------------
+     6b.  Dowel picking (click on the mesh, drag still orbits)
+  ---------------------------------------------------------- */
+  useEffect(() => {
+    const { renderer, camera, scene } = sceneState;
+    const basis = slices[0]?.basis;
+    if (!pickingDowels || !renderer || !basis) return;
+    const el = renderer.domElement;
+    let down = null;
+
+    const onDown = (e) => {
+      down = { x: e.clientX, y: e.clientY };
+    };
+    const onUp = (e) => {
+      if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return;
+      const rect = el.getBoundingClientRect();
+      const ndc = new THREE.Vector2(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(ndc, camera);
+      const mesh = scene.getObjectByName('stlMesh');
+      const hit = mesh && raycaster.intersectObject(mesh)[0];
+      if (!hit) return;
+      const p = hit.point.toArray();
+      const dot = (a) => a[0] * p[0] + a[1] * p[1] + a[2] * p[2];
+      setSlicingParams((prev) => ({ ...prev, dowelPoints: [...prev.dowelPoints, [dot(basis.u), dot(basis.v)]] }));
+    };
+
+    el.addEventListener('pointerdown', onDown);
+    el.addEventListener('pointerup', onUp);
+    return () => {
+      el.removeEventListener('pointerdown', onDown);
+      el.removeEventListener('pointerup', onUp);
+    };
+  }, [pickingDowels, sceneState, slices]);
+
+  /* ----------------------------------------------------------
+     6c.  Mesh check & highlighting of the problem areas
+  ---------------------------------------------------------- */
+  // The check itself runs in the worker; see the upload effect in section 10
+  useEffect(() => {
+    const scene = sceneState.scene;
+    if (!scene) return;
+    disposeByName(scene, 'meshIssues');
+    if (!meshReport || meshReport.ok || !showMeshIssues) return;
+
+    // Drawn over the model so problems inside cavities stay visible
+    const group = new THREE.Group();
+    group.name = 'meshIssues';
+    setModelMatrix(group, modelMatrix);
+    const { openEdges, nonManifoldEdges, faces } = meshReport.highlight;
+    [[openEdges, ISSUE_COLORS.openEdges], [nonManifoldEdges, ISSUE_COLORS.nonManifoldEdges]].forEach(([segments, color]) => {
+      if (!segments.length) return;
+      const g = new THREE.BufferGeometry();
+      g.setAttribute('position', new THREE.BufferAttribute(segments, 3));
+      group.add(new THREE.LineSegments(g, new THREE.LineBasicMaterial({ color, depthTest: false })));
+    });
+    if (faces.length) {
+      const g = new THREE.BufferGeometry();
+      g.setAttribute('position', new THREE.BufferAttribute(faces, 3));
+      group.add(new THREE.Mesh(g, new THREE.MeshBasicMaterial({ color: ISSUE_COLORS.faces, side: THREE.DoubleSide, depthTest: false, transparent: true, opacity: 0.7 })));
+    }
+    group.renderOrder = 1;
+    scene.add(group);
+  }, [meshReport, showMeshIssues, modelMatrix, sceneState.scene]);
+
+  /* ----------------------------------------------------------
+     6d.  Lay flat (click a face) & auto-orient replies
+  ---------------------------------------------------------- */
+  // The clicked face is turned to face down the slicing normal, so it becomes the first layer
+  useEffect(() => {
+    const { renderer, camera, scene } = sceneState;
+    if (!layingFlat || !renderer || !placement) return;
+    const el = renderer.domElement;
+    let down = null;
+
+    const onDown = (e) => {
+      down = { x: e.clientX, y: e.clientY };
+    };
+    const onUp = (e) => {
+      if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return;
+      const rect = el.getBoundingClientRect();
+      const ndc = new THREE.Vector2(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(ndc, camera);
+      const mesh = scene.getObjectByName('stlMesh');
+      const hit = mesh && raycaster.intersectObject(mesh)[0];
+      if (!hit?.face) return;
+      // Face normals are in file coordinates; the scale would skew them, so only the rotation applies
+      const turned = new THREE.Matrix4().extractRotation(placement.matrix);
+      const normal = hit.face.normal.clone().transformDirection(turned);
+      const tilt = new THREE.Quaternion().setFromUnitVectors(normal, planeNormal.clone().negate());
+      orientModel(rotationAngles(new THREE.Matrix4().makeRotationFromQuaternion(tilt).multiply(turned)));
+      setLayingFlat(false);
+    };
+
+    el.addEventListener('pointerdown', onDown);
+    el.addEventListener('pointerup', onUp);
+    return () => {
+      el.removeEventListener('pointerdown', onDown);
+      el.removeEventListener('pointerup', onUp);
+    };
+  }, [layingFlat, sceneState, placement, planeNormal, orientModel]);
+
+  // Auto-orient runs as a worker job alongside slicing and answers with a rotation matrix
+  useEffect(() => {
+    const worker = workerInstanceRef.current;
+    if (!worker) return;
+    const onMessage = (event) => {
+      const { type, jobId, rotation } = event.data;
+      if (type !== 'oriented' || jobId !== jobIdRef.current) return;
+      setSliceProgress(null);
+      orientModel(rotationAngles(new THREE.Matrix4().setFromMatrix3(new THREE.Matrix3().fromArray(rotation))));
+    };
+    worker.addEventListener('message', onMessage);
+    return () => worker.removeEventListener('message', onMessage);
+  }, [orientModel]);
 
   /* ----------------------------------------------------------
      7.  UI Handlers
   ---------------------------------------------------------- */
+  // Swaps in the repaired mesh; slicing re-runs because the geometry changed
+  const handleRepair = () => {
+    if (!geometry) return;
+    const { geometry: repaired, fixes } = repairGeometry(geometry, maxHoleEdges);
+    showModel(sceneState.scene, repaired);
+    setGeometry(repaired);
+    setLastRepair(fixes);
+  };
+
+  // Switching or editing the material re-applies whatever part of it changed;
+  // a new fit box rescales the model as a fresh load would
+  const handleMaterialsChange = (next) => {
+    const preset = activeMaterial(next);
+    const changed = (key) => JSON.stringify(preset[key]) !== JSON.stringify(material[key]);
+    setMaterials(next);
+    if (changed('kerf') || changed('thicknesses')) {
+      setSlicingParams((p) => ({ ...p, ...materialParams(preset, p), currentLayerIndex: 0, singleSliceMode: false }));
+      setShowMiddleSlice(false);
+    }
+    if (changed('sheet')) setNestingParams((p) => ({ ...p, sheetWidth: preset.sheet.width, sheetHeight: preset.sheet.height }));
+    if (changed('fitBox') && placement) {
+      const size = placement.box.getSize(new THREE.Vector3());
+      const scale = fitScale(size, preset.fitBox);
+      setTargetDimensions({ width: size.x * scale, height: size.y * scale, depth: size.z * scale });
+    }
+  };
+
   const handleSliceHeightChange = (e) => {
     const val = parseFloat(e.target.value);
-    if (!ALLOWED_THICKNESS.includes(val)) return;
+    if (!thicknessOptions.includes(val)) return;
     const range = getScaledMaxRangeValue() - getScaledMinRangeValue();
-    const num = Math.min(30, Math.max(2, Math.floor(range / val) + 1));
+    const num = Math.floor(range / val) + 1;
     setSlicingParams((p) => ({ ...p, sliceHeight: val, numSlices: num, currentLayerIndex: 0, singleSliceMode: false }));
     setShowMiddleSlice(false);
   };
 
+  const handleModeChange = (e) => {
+    setSlicingParams((p) => ({ ...p, mode: e.target.value, currentLayerIndex: 0, singleSliceMode: false }));
+    setShowMiddleSlice(false);
+  };
+
   const handlePlaneChange = (e) => {
-    setSlicingParams((p) => ({ ...p, slicingPlane: e.target.value, currentLayerIndex: 0, singleSliceMode: false }));
+    // Picked dowel centres are in the old plane's coordinates
+    setSlicingParams((p) => ({ ...p, slicingPlane: e.target.value, currentLayerIndex: 0, singleSliceMode: false, dowelPoints: [] }));
     setShowMiddleSlice(false);
   };
 
-  const handleToggleSlices = () => setSlicingParams((p) => ({ ...p, showSlices: !p.showSlices }));
+  const handlePlaneNormalChange = (i) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (isNaN(v)) return;
+    setSlicingParams((p) => ({ ...p, planeNormal: p.planeNormal.map((c, j) => (j === i ? v : c)), dowelPoints: [] }));
+  };
+
+  const handleRotationChange = (i) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (isNaN(v)) return;
+    orientModel(slicingParams.rotation.map((a, j) => (j === i ? v : a)));
+  };
+
+  // Supersedes any running slice job; the new rotation then starts a fresh one
+  const handleAutoOrient = () => {
+    const worker = workerInstanceRef.current;
+    if (!geometry || !worker) return;
+    worker.postMessage({ type: 'cancel', jobId: jobIdRef.current });
+    jobIdRef.current += 1;
+    setSliceError(null);
+    setSliceProgress({ stage: 'orienting', done: 0, total: 0 });
+    worker.postMessage({
+      type: 'orient',
+      jobId: jobIdRef.current,
+      payload: {
+        goal: orientGoal,
+        slicingPlane: slicingParams.slicingPlane,
+        planeNormal: slicingParams.planeNormal,
+        sliceHeight: slicingParams.sliceHeight,
+        scaleX: currentScale.x,
+        scaleY: currentScale.y,
+        scaleZ: currentScale.z,
+      },
+    });
+  };
+
+  const handleToggleSlices = () => setShowSlices((v) => !v);
   const handleToggleModelOutline = () => setShowModelOutline((v) => !v);
   const handleToggleMiddleSlice = () => {
     setShowMiddleSlice((v) => !v);
-    setSlicingParams((p) => ({ ...p, singleSliceMode: false, showSlices: true }));
+    setShowSlices(true);
+    setSlicingParams((p) => ({ ...p, singleSliceMode: false }));
   };
 
-  const handleStepChange = (e) => {
-    const idx = parseInt(e.target.value, 10);
-    const v = getScaledMinRangeValue() + idx * slicingParams.sliceHeight;
+  // Shared by the Layer slider and the inspector's arrow keys
+  const showLayer = (idx) => {
+    const v = layerPlan[idx]?.value ?? getScaledMinRangeValue() + idx * slicingParams.sliceHeight;
     setSlicingParams((p) => ({ ...p, currentLayerIndex: idx, currentSliceValue: v, singleSliceMode: true }));
     setShowMiddleSlice(false);
   };
 
+  const handleStepChange = (e) => showLayer(parseInt(e.target.value, 10));
+
   const handleToggleSingleSliceMode = () => {
     setSlicingParams((p) => ({ ...p, singleSliceMode: !p.singleSliceMode }));
     setShowMiddleSlice(false);
   };
 
+  const handleLayerModeChange = (e) => {
+    const layerMode = e.target.value;
+    setSlicingParams((p) => ({
+      ...p,
+      layerMode,
+      // Manual editing starts from whatever stack is showing now
+      manualLayers: layerMode === 'manual' && !p.manualLayers.length ? layerPlan : p.manualLayers,
+      currentLayerIndex: 0,
+      singleSliceMode: false,
+    }));
+    setShowLayerList(layerMode !== 'uniform');
+    setShowMiddleSlice(false);
+  };
+
+  const handleToggleThickness = (t) => () =>
+    setSlicingParams((p) => ({
+      ...p,
+      thicknesses: p.thicknesses.includes(t) ? p.thicknesses.filter((x) => x !== t) : [...p.thicknesses, t].sort((a, b) => a - b),
+    }));
+
+  const handleKerfChange = (e) => {
+    const v = parseFloat(e.target.value);
+    setSlicingParams((p) => ({ ...p, kerf: isNaN(v) ? 0 : Math.max(0, v) }));
+  };
+
+  const handleNestingChange = (key) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (isNaN(v) || v < 0) return;
+    setNestingParams((p) => ({ ...p, [key]: v }));
+  };
+
   const handleTargetDimensionChange = (dim) => (e) => {
     const v = parseFloat(e.target.value);
     setTargetDimensions((p) => ({ ...p, [dim]: isNaN(v) ? 0 : v }));
@@ -278,197 +798,495 @@ const STLViewer = ({ stlFile }) => {
     });
   };
 
-  const getScaledMinRangeValue = useCallback(
-    (g = geometry, pl = slicingParams.slicingPlane, sx = currentScale.x, sy = currentScale.y, sz = currentScale.z) => {
-      if (!g?.boundingBox) return 0;
-      const v = g.boundingBox.min[pl.toLowerCase()];
-      return { X: v * sx, Y: v * sy, Z: v * sz }[pl];
-    },
-    [geometry, slicingParams.slicingPlane, currentScale]
-  );
+  // Slice positions run along the plane normal over the scaled bounding box corners
+  const getScaledRange = useCallback(() => {
+    if (!placement) return { min: 0, max: 100 };
+    const { min, max } = placement.box;
+    const values = [0, 1, 2, 3, 4, 5, 6, 7].map((i) =>
+      new THREE.Vector3(
+        (i & 1 ? max : min).x * currentScale.x,
+        (i & 2 ? max : min).y * currentScale.y,
+        (i & 4 ? max : min).z * currentScale.z
+      ).dot(planeNormal)
+    );
+    return { min: Math.min(...values), max: Math.max(...values) };
+  }, [placement, planeNormal, currentScale]);
 
-  const getScaledMaxRangeValue = useCallback(
-    (g = geometry, pl = slicingParams.slicingPlane, sx = currentScale.x, sy = currentScale.y, sz = currentScale.z) => {
-      if (!g?.boundingBox) return 100;
-      const v = g.boundingBox.max[pl.toLowerCase()];
-      return { X: v * sx, Y: v * sy, Z: v * sz }[pl];
-    },
-    [geometry, slicingParams.slicingPlane, currentScale]
+  const getScaledMinRangeValue = useCallback(() => getScaledRange().min, [getScaledRange]);
+  const getScaledMaxRangeValue = useCallback(() => getScaledRange().max, [getScaledRange]);
+
+  /* ----------------------------------------------------------
+     8b.  Manual layers: drag the selected layer along the normal
+  ---------------------------------------------------------- */
+  useEffect(() => {
+    const { scene, renderer, camera, controls } = sceneState;
+    const layer = slicingParams.manualLayers[selectedLayer];
+    if (!scene || !placement || slicingParams.layerMode !== 'manual' || !layer) return;
+
+    const normal = planeNormal;
+    const box = placement.box.clone();
+    const scale = new THREE.Vector3(currentScale.x, currentScale.y, currentScale.z);
+    box.min.multiply(scale);
+    box.max.multiply(scale);
+    const size = box.getSize(new THREE.Vector3());
+    const extent = Math.max(size.x, size.y, size.z) * 1.2;
+
+    const handle = new THREE.Mesh(
+      new THREE.PlaneGeometry(extent, extent),
+      new THREE.MeshBasicMaterial({ color: 0xffb000, transparent: true, opacity: 0.25, side: THREE.DoubleSide, depthWrite: false })
+    );
+    handle.name = 'layerHandle';
+    handle.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+    const place = (value) => {
+      box.getCenter(handle.position);
+      handle.position.addScaledVector(normal, value - handle.position.dot(normal));
+    };
+    place(layer.value);
+    scene.add(handle);
+
+    const el = renderer.domElement;
+    const raycaster = new THREE.Raycaster();
+    const min = getScaledMinRangeValue();
+    const max = getScaledMaxRangeValue();
+    let dragPlane = null;
+    let dragValue = layer.value;
+
+    const rayAt = (e) => {
+      const rect = el.getBoundingClientRect();
+      raycaster.setFromCamera(
+        new THREE.Vector2(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1),
+        camera
+      );
+      return raycaster;
+    };
+    const onDown = (e) => {
+      if (!rayAt(e).intersectObject(handle).length) return;
+      // Drag across the plane through the handle that contains the normal and faces the camera
+      const view = camera.getWorldDirection(new THREE.Vector3());
+      const facing = view.sub(normal.clone().multiplyScalar(view.dot(normal)));
+      if (facing.lengthSq() < 1e-6) return;
+      dragPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(facing.normalize(), handle.position);
+      controls.enabled = false;
+    };
+    const onMove = (e) => {
+      if (!dragPlane) return;
+      const hit = rayAt(e).ray.intersectPlane(dragPlane, new THREE.Vector3());
+      if (!hit) return;
+      dragValue = Math.min(max, Math.max(min, hit.dot(normal)));
+      place(dragValue);
+    };
+    const onUp = () => {
+      if (!dragPlane) return;
+      dragPlane = null;
+      controls.enabled = true;
+      setSlicingParams((p) => ({
+        ...p,
+        manualLayers: p.manualLayers.map((l, i) => (i === selectedLayer ? { ...l, value: dragValue } : l)),
+      }));
+    };
+
+    el.addEventListener('pointerdown', onDown);
+    el.addEventListener('pointermove', onMove);
+    el.addEventListener('pointerup', onUp);
+    return () => {
+      el.removeEventListener('pointerdown', onDown);
+      el.removeEventListener('pointermove', onMove);
+      el.removeEventListener('pointerup', onUp);
+      controls.enabled = true;
+      scene.remove(handle);
+      handle.geometry.dispose();
+      handle.material.dispose();
+    };
+  }, [sceneState, placement, currentScale, slicingParams.layerMode, planeNormal, slicingParams.manualLayers, selectedLayer, getScaledMinRangeValue, getScaledMaxRangeValue]);
+
+  /* ----------------------------------------------------------
+     8c.  Custom plane gizmo (rotate the plane to set its normal)
+  ---------------------------------------------------------- */
+  const gizmoRef = useRef(null);
+
+  useEffect(() => {
+    const { scene, renderer, camera, controls } = sceneState;
+    if (!scene || !placement || slicingParams.slicingPlane !== 'custom' || !showPlaneGizmo) return;
+
+    const box = placement.box.clone();
+    const scale = new THREE.Vector3(currentScale.x, currentScale.y, currentScale.z);
+    box.min.multiply(scale);
+    box.max.multiply(scale);
+    const size = box.getSize(new THREE.Vector3());
+    const extent = Math.max(size.x, size.y, size.z) * 1.2;
+
+    const plane = new THREE.Mesh(
+      new THREE.PlaneGeometry(extent, extent),
+      new THREE.MeshBasicMaterial({ color: 0x66ccff, transparent: true, opacity: 0.2, side: THREE.DoubleSide, depthWrite: false })
+    );
+    plane.name = 'planeGizmo';
+    box.getCenter(plane.position);
+    scene.add(plane);
+
+    const gizmo = new TransformControls(camera, renderer.domElement);
+    gizmo.setMode('rotate');
+    gizmo.setSize(0.8);
+    gizmo.attach(plane);
+    scene.add(gizmo);
+    gizmoRef.current = { plane, gizmo };
+
+    const onDragging = (e) => {
+      controls.enabled = !e.value;
+    };
+    const onChange = () => {
+      const n = new THREE.Vector3(0, 0, 1).applyQuaternion(plane.quaternion);
+      const round = (c) => Math.round(c * 1e4) / 1e4;
+      setSlicingParams((p) => ({ ...p, planeNormal: [round(n.x), round(n.y), round(n.z)], dowelPoints: [] }));
+    };
+    gizmo.addEventListener('dragging-changed', onDragging);
+    gizmo.addEventListener('objectChange', onChange);
+    return () => {
+      gizmo.removeEventListener('dragging-changed', onDragging);
+      gizmo.removeEventListener('objectChange', onChange);
+      gizmo.detach();
+      gizmo.dispose();
+      scene.remove(gizmo);
+      scene.remove(plane);
+      plane.geometry.dispose();
+      plane.material.dispose();
+      controls.enabled = true;
+      gizmoRef.current = null;
+    };
+  }, [sceneState, placement, currentScale, slicingParams.slicingPlane, showPlaneGizmo]);
+
+  // Typed normals turn the gizmo; while dragging the gizmo itself is the source
+  useEffect(() => {
+    const g = gizmoRef.current;
+    if (!g || g.gizmo.dragging) return;
+    const current = new THREE.Vector3(0, 0, 1).applyQuaternion(g.plane.quaternion);
+    if (current.angleTo(planeNormal) < 1e-4) return;
+    g.plane.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), planeNormal);
+  }, [planeNormal, sceneState, placement, currentScale, slicingParams.slicingPlane, showPlaneGizmo]);
+
+  /* ----------------------------------------------------------
+     8d.  3-D assembly preview & deviation from the model
+  ---------------------------------------------------------- */
+  const assemblyRef = useRef(null);
+
+  useEffect(() => {
+    const scene = sceneState.scene;
+    if (!scene) return;
+    disposeByName(scene, 'assembly');
+    assemblyRef.current = null;
+    if (!showAssembly || !slices.length) return;
+    assemblyRef.current = buildAssembly(slices);
+    scene.add(assemblyRef.current);
+  }, [showAssembly, slices, sceneState.scene]);
+
+  useEffect(() => {
+    if (assemblyRef.current) poseAssembly(assemblyRef.current, explode, buildStep ?? Infinity);
+  }, [explode, buildStep, showAssembly, slices]);
+
+  // Build animation: one more plate per tick, then everything is shown again
+  useEffect(() => {
+    if (buildStep === null) return;
+    if (buildStep >= (assemblyRef.current?.children.length ?? 0)) {
+      setBuildStep(null);
+      return;
+    }
+    const t = setTimeout(() => setBuildStep((step) => step + 1), BUILD_STEP_DELAY);
+    return () => clearTimeout(t);
+  }, [buildStep]);
+
+  // Deviation only makes sense against a whole stack
+  const fullStack = slicingParams.mode === 'stack' && !slicingParams.singleSliceMode && !showMiddleSlice;
+  const deviation = useMemo(
+    () =>
+      showDeviation && fullStack && geometry && modelMatrix && slices.length
+        ? { ...stackDeviation(geometry.attributes.position.array, modelMatrix, slices), limit: Math.max(...slices.map((s) => s.thickness)) }
+        : null,
+    [showDeviation, fullStack, geometry, modelMatrix, slices]
   );
 
+  // The coloured copy stands in for the model; with plates showing the model is hidden
+  useEffect(() => {
+    const scene = sceneState.scene;
+    if (!scene) return;
+    disposeByName(scene, 'deviationMesh');
+    const model = scene.getObjectByName('stlMesh');
+    if (model) model.visible = !showAssembly && !deviation;
+    if (!deviation) return;
+    const colored = geometry.clone();
+    colored.setAttribute('color', new THREE.BufferAttribute(deviationColors(deviation.values, deviation.limit), 3));
+    const mesh = new THREE.Mesh(colored, new THREE.MeshPhongMaterial({ vertexColors: true, flatShading: true }));
+    mesh.name = 'deviationMesh';
+    setModelMatrix(mesh, modelMatrix);
+    scene.add(mesh);
+  }, [deviation, showAssembly, geometry, modelMatrix, sceneState.scene]);
+
   /* ----------------------------------------------------------
      9.  Export helpers (SVG / DXF)
   ---------------------------------------------------------- */
-const exportSVG = () => {
-  if (!sceneState.scene) return;
-  const lines = sceneState.scene.children.filter((c) => c.name === 'sliceLine');
-  if (!lines.length) return console.log('No slices to export.');
-
-  const plane = slicingParams.slicingPlane;
-  let offsetX = 0;
-  const sliceGap = 10;
-
-  let pathData = '';
-  let globalMinX = Infinity;
-  let globalMinY = Infinity;
-  let globalMaxX = -Infinity;
-  let globalMaxY = -Infinity;
-
-  lines.forEach((line) => {
-    const pos = line.geometry.attributes.position;
-    if (!pos || pos.count === 0) return;
-
-    // Build 2-D points once
-    const pts2D = [];
-    for (let i = 0; i < pos.count; i++) {
-      const x = pos.getX(i);
-      const y = pos.getY(i);
-      const z = pos.getZ(i);
-      let px, py;
-      if (plane === 'Z') { px = x; py = y; }
-      else if (plane === 'X') { px = z; py = y; }
-      else { px = x; py = z; }
-
-      pts2D.push({ x: px + offsetX, y: -py }); // SVG Y inverted
-      globalMinX = Math.min(globalMinX, px + offsetX);
-      globalMaxX = Math.max(globalMaxX, px + offsetX);
-      globalMinY = Math.min(globalMinY, -py);
-      globalMaxY = Math.max(globalMaxY, -py);
-    }
+  const nesting = useMemo(() => nestSlices(slices, nestingParams), [slices, nestingParams]);
 
-    // Export every pair as a separate two-point path
-    for (let i = 0; i < pts2D.length - 1; i += 2) {
-      const p1 = pts2D[i];
-      const p2 = pts2D[i + 1];
-      pathData += `<path d="M ${p1.x} ${p1.y} L ${p2.x} ${p2.y}" stroke="#ff0000" stroke-width="0.2" fill="none"/>\n`;
-    }
+  const estimate = useMemo(
+    () => estimateJob(slices, nesting, { width: nestingParams.sheetWidth, height: nestingParams.sheetHeight }, estimateParams),
+    [slices, nesting, nestingParams.sheetWidth, nestingParams.sheetHeight, estimateParams]
+  );
 
-    offsetX += (globalMaxX - globalMinX) + sliceGap;
-  });
+  const exportLayerList = () => {
+    if (!layerPlan.length) return console.log('No layers to export.');
+    // Oblique planes are written as their unit normal, e.g. "0.0000 0.7071 0.7071"
+    const plane = slicingParams.slicingPlane === 'custom' ? planeNormal.toArray().map((c) => c.toFixed(4)).join(' ') : slicingParams.slicingPlane;
+    saveAs(new Blob([layerListCsv(layerPlan, plane)], { type: 'text/csv' }), 'layers.csv');
+  };
+
+  const exportSVG = () => {
+    if (!nesting.sheets.length) return console.log('No slices to export.');
+    nesting.sheets.forEach((sheet, sheetIdx) => {
+      saveAs(new Blob([sheetSvg(sheet)], { type: 'image/svg+xml' }), sheetFileName(sheet, sheetIdx, 'svg'));
+    });
+  };
 
-  if (!pathData) return;
+  const exportDXF = () => {
+    if (!nesting.sheets.length) return console.log('No slices to export.');
+    nesting.sheets.forEach((sheet, sheetIdx) => {
+      saveAs(new Blob([sheetDxf(sheet)], { type: 'application/dxf' }), sheetFileName(sheet, sheetIdx, 'dxf'));
+    });
+  };
 
-  const w = globalMaxX - globalMinX;
-  const h = globalMaxY - globalMinY;
-  const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg"
-     viewBox="${globalMinX.toFixed(3)} ${globalMinY.toFixed(3)} ${w.toFixed(3)} ${h.toFixed(3)}">
-${pathData}
-</svg>`;
-  saveAs(new Blob([svg], { type: 'image/svg+xml' }), 'slice.svg');
-};
+  const exportMaterials = (presets) => {
+    saveAs(new Blob([writeMaterials(presets)], { type: 'application/json' }), 'slicr-materials.json');
+  };
 
-/* ------------------------------------------------------------------
-   DXF Export – side view, every segment as separate two-point line
------------------------------------------------------------------- */
-const exportDXF = () => {
-  if (!sceneState.scene) return;
-  const lines = sceneState.scene.children.filter((c) => c.name === 'sliceLine');
-  if (!lines.length) return console.log('No slices to export.');
-
-  const plane = slicingParams.slicingPlane;
-  let offsetX = 0;
-  const sliceGap = 10;
-
-  let dxf = '0\nSECTION\n2\nENTITIES\n';
-
-  lines.forEach((line) => {
-    const pos = line.geometry.attributes.position;
-    if (!pos || pos.count === 0) return;
-
-    const pts2D = [];
-    for (let i = 0; i < pos.count; i++) {
-      const x = pos.getX(i);
-      const y = pos.getY(i);
-      const z = pos.getZ(i);
-      let px, py;
-      if (plane === 'Z') { px = x; py = y; }
-      else if (plane === 'X') { px = z; py = y; }
-      else { px = x; py = z; }
-
-      pts2D.push({ x: px + offsetX, y: py });
-    }
+  // One .nc file per nested sheet, from the jobs the G-code panel previews
+  const exportGcode = (jobs) => {
+    jobs.forEach((job, sheetIdx) => {
+      saveAs(new Blob([job.gcode], { type: 'text/plain' }), sheetFileName(nesting.sheets[sheetIdx], sheetIdx, 'nc'));
+    });
+  };
 
-    // Write every segment as separate LINE entity
-    for (let i = 0; i < pts2D.length - 1; i += 2) {
-      const p1 = pts2D[i];
-      const p2 = pts2D[i + 1];
-      dxf +=
-        '0\nLINE\n8\n0\n10\n' +
-        p1.x.toFixed(3) +
-        '\n20\n' +
-        p1.y.toFixed(3) +
-        '\n30\n0\n11\n' +
-        p2.x.toFixed(3) +
-        '\n21\n' +
-        p2.y.toFixed(3) +
-        '\n31\n0\n';
-    }
+  // Everything needed to rebuild this slice set from the original model file
+  const projectState = useMemo(
+    () => ({
+      material,
+      slicingParams,
+      targetDimensions,
+      nestingParams,
+      gcodeParams,
+      estimateParams,
+      paperSize,
+      repair: lastRepair && { maxHoleEdges: lastRepair.maxHoleEdges },
+    }),
+    [material, slicingParams, targetDimensions, nestingParams, gcodeParams, estimateParams, paperSize, lastRepair]
+  );
 
-    const sliceWidth = Math.max(...pts2D.map((p) => p.x)) - Math.min(...pts2D.map((p) => p.x));
-    offsetX += sliceWidth + sliceGap;
-  });
+  const saveProject = () => {
+    if (!modelBytesRef.current) return console.log('No model to save.');
+    const blob = writeProject({ fileName, modelBytes: modelBytesRef.current, state: projectState });
+    saveAs(blob, `${(fileName || 'model').replace(/\.[^.]+$/, '')}${PROJECT_EXTENSION}`);
+  };
+
+  useEffect(() => {
+    if (!geometry) return;
+    const t = setTimeout(() => autosaveState(projectState).catch((err) => console.warn('Autosave failed:', err)), AUTOSAVE_DELAY);
+    return () => clearTimeout(t);
+  }, [projectState, geometry]);
+
+  // Paper templates ignore the stock sheets: every part is laid out 1:1 on its own pages
+  const exportPDF = () => {
+    if (!slices.length) return console.log('No slices to export.');
+    const { pdf } = buildPrintTemplates(slices, { paper: paperSize, modelName });
+    saveAs(new Blob([pdf], { type: 'application/pdf' }), `slice-templates-${paperSize.toLowerCase()}.pdf`);
+  };
 
-  dxf += '0\nENDSEC\n0\nEOF';
-  saveAs(new Blob([dxf], { type: 'application/dxf' }), 'slice.dxf');
-};
   /* ----------------------------------------------------------
-     10.  Slicing trigger (debounced)
+     10.  Geometry upload & slicing jobs (debounced)
   ---------------------------------------------------------- */
+  // The worker keeps the model between jobs, so it is only sent when it changes.
+  // Copies are transferred rather than cloned; the scene keeps the originals.
   useEffect(() => {
     if (!geometry || !workerInstanceRef.current) return;
+    const posArr = new Float32Array(geometry.attributes.position.array);
+    const indexArr = geometry.index ? new Uint32Array(geometry.index.array) : null;
+    workerInstanceRef.current.postMessage(
+      {
+        type: 'setGeometry',
+        payload: { positionArray: posArr, indexArray: indexArr },
+      },
+      indexArr ? [posArr.buffer, indexArr.buffer] : [posArr.buffer]
+    );
+  }, [geometry]);
+
+  // The mesh check follows the upload it reads, so this effect must stay after
+  // it; a new hole limit re-checks without clearing the report first
+  useEffect(() => {
+    const worker = workerInstanceRef.current;
+    if (!worker) return;
+    const onMessage = (event) => {
+      const { type, requestId, report } = event.data;
+      if (type === 'analyzed' && requestId === analysisIdRef.current) setMeshReport(report);
+    };
+    worker.addEventListener('message', onMessage);
+    return () => worker.removeEventListener('message', onMessage);
+  }, []);
+
+  useEffect(() => {
+    setMeshReport(null);
+  }, [geometry]);
+
+  useEffect(() => {
+    if (!geometry || !workerInstanceRef.current) return;
+    analysisIdRef.current += 1;
+    workerInstanceRef.current.postMessage({ type: 'analyze', requestId: analysisIdRef.current, payload: { maxHoleEdges } });
+  }, [geometry, maxHoleEdges]);
+
+  useEffect(() => {
+    if (!placement || !workerInstanceRef.current) return;
     clearSlices(sceneState.scene);
 
     const min = getScaledMinRangeValue();
     const max = getScaledMaxRangeValue();
-    const range = max - min;
-    const num = Math.min(30, Math.max(2, Math.floor(range / debouncedSlicingParams.sliceHeight) + 1));
     const sliceVal = showMiddleSlice ? (min + max) / 2 : debouncedSlicingParams.singleSliceMode ? debouncedSlicingParams.currentSliceValue : null;
 
-    const posArr = new Float32Array(geometry.attributes.position.array);
-    const bbox = { min: geometry.boundingBox.min.toArray(), max: geometry.boundingBox.max.toArray() };
+    // A new job supersedes the running one; its late messages are dropped by ID
+    workerInstanceRef.current.postMessage({ type: 'cancel', jobId: jobIdRef.current });
+    jobIdRef.current += 1;
+    partialSlicesRef.current = [];
+    setSliceError(null);
+    setSliceProgress({ stage: 'slicing', done: 0, total: 0 });
 
     workerInstanceRef.current.postMessage({
-      type: 'sliceModel',
+      type: 'slice',
+      jobId: jobIdRef.current,
       payload: {
-        positionArray: posArr,
-        bboxData: bbox,
         sliceHeight: debouncedSlicingParams.sliceHeight,
         currentSlice: sliceVal,
         slicingPlane: debouncedSlicingParams.slicingPlane,
+        planeNormal: debouncedSlicingParams.planeNormal,
+        rotation: placement.rotation,
+        offset: placement.offset,
         scaleX: currentScale.x,
         scaleY: currentScale.y,
         scaleZ: currentScale.z,
         cutouts: debouncedSlicingParams.cutouts,
+        kerf: debouncedSlicingParams.kerf,
+        mode: debouncedSlicingParams.mode,
+        finCount: debouncedSlicingParams.finCount,
+        hubCount: debouncedSlicingParams.hubCount,
+        hubDiameter: debouncedSlicingParams.hubDiameter,
+        spineDiameter: debouncedSlicingParams.spineDiameter,
+        labels: debouncedSlicingParams.labels,
+        modelName,
+        dowelCount: debouncedSlicingParams.dowelCount,
+        dowelDiameter: debouncedSlicingParams.dowelDiameter,
+        dowelPoints: debouncedSlicingParams.dowelPoints,
+        glueGuides: debouncedSlicingParams.glueGuides,
+        layerMode: debouncedSlicingParams.layerMode,
+        thicknesses: debouncedSlicingParams.thicknesses,
+        adaptiveTolerance: debouncedSlicingParams.adaptiveTolerance,
+        manualLayers: debouncedSlicingParams.manualLayers,
       },
     });
-  }, [debouncedSlicingParams, geometry, sceneState.scene, showMiddleSlice, currentScale, getScaledMinRangeValue, getScaledMaxRangeValue]);
+  }, [debouncedSlicingParams, placement, sceneState.scene, showMiddleSlice, currentScale, getScaledMinRangeValue, getScaledMaxRangeValue, modelName]);
 
   /* ----------------------------------------------------------
      11.  Render
   ---------------------------------------------------------- */
   const minR = getScaledMinRangeValue();
   const maxR = getScaledMaxRangeValue();
-  const totalLayers = geometry ? Math.floor((maxR - minR) / slicingParams.sliceHeight) + 1 : 0;
+  const totalLayers = layerPlan.length || (geometry ? Math.floor((maxR - minR) / slicingParams.sliceHeight) + 1 : 0);
+  const isWaffle = slicingParams.mode === 'waffle';
+  const isRadial = slicingParams.mode === 'radial';
+  // Layer planning, dowels, glue guides and single slices only apply to parallel stacks
+  const isStack = slicingParams.mode === 'stack';
   const modelDims = {
     x: (originalDimensions.x * currentScale.x).toFixed(2),
     y: (originalDimensions.y * currentScale.y).toFixed(2),
     z: (originalDimensions.z * currentScale.z).toFixed(2),
   };
+  const unclosedSlices = slices.filter((s) => s.openPaths.length).map((s) => s.value);
+  // Radial hubs no fin reaches (e.g. inside a hollow part) get no slots and hold nothing
+  const unjoinedHubs = slices.filter((s) => s.unjoined);
+  const finStarts = unjoinedHubs.map((s) => s.unjoined.finStart).filter((r) => r !== null);
+  // A single-slice job returns just the current layer
+  const layerValue = layerPlan[slicingParams.currentLayerIndex]?.value;
+  const inspectedSlice = slicingParams.singleSliceMode ? slices[0] : slices.find((s) => s.value === layerValue) ?? slices[slicingParams.currentLayerIndex];
+  const stepLayer = (delta) => showLayer(Math.min(totalLayers - 1, Math.max(0, slicingParams.currentLayerIndex + delta)));
+  const handleCancelSlicing = () => workerInstanceRef.current?.postMessage({ type: 'cancel', jobId: jobIdRef.current });
 
   return (
     <div>
       <div style={{ padding: 10, background: '#282c34', color: '#fff', borderBottom: '1px solid #444', display: 'flex', flexWrap: 'wrap', gap: 10, alignItems: 'center' }}>
+        <label>
+          Material:
+          <select value={material.name} onChange={(e) => handleMaterialsChange({ ...materials, active: e.target.value })} style={{ marginLeft: 5 }}>
+            {materials.presets.map((p) => (
+              <option key={p.name} value={p.name}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+
+        <label title="Edit, import and export material presets">
+          <input type="checkbox" checked={showMaterials} onChange={() => setShowMaterials((v) => !v)} style={{ marginRight: 5 }} />
+          Materials
+        </label>
+
         <label>
           Slice thickness:
           <select value={slicingParams.sliceHeight} onChange={handleSliceHeightChange} style={{ marginLeft: 5 }}>
-            {ALLOWED_THICKNESS.map((t) => (
+            {thicknessOptions.map((t) => (
               <option key={t} value={t}>{t} mm</option>
             ))}
           </select>
         </label>
 
         <label>
+          Mode:
+          <select value={slicingParams.mode} onChange={handleModeChange} style={{ marginLeft: 5 }}>
+            <option value="stack">Stacked layers</option>
+            <option value="waffle">Waffle (egg-crate)</option>
+            <option value="radial">Radial fins</option>
+          </select>
+        </label>
+
+        <label>
+          Layers:
+          <select value={slicingParams.layerMode} onChange={handleLayerModeChange} disabled={!isStack} style={{ marginLeft: 5 }}>
+            <option value="uniform">Uniform</option>
+            <option value="adaptive">Adaptive</option>
+            <option value="manual">Manual</option>
+          </select>
+        </label>
+
+        {slicingParams.layerMode === 'adaptive' && isStack && (
+          <span>
+            Sheets:
+            {thicknessOptions.map((t) => (
+              <label key={t} style={{ marginLeft: 4 }}>
+                <input type="checkbox" checked={slicingParams.thicknesses.includes(t)} onChange={handleToggleThickness(t)} />
+                {t}
+              </label>
+            ))}
+            <label style={{ marginLeft: 8 }}>
+              tol.
+              <input
+                type="number"
+                min={0.05}
+                step={0.05}
+                value={slicingParams.adaptiveTolerance}
+                onChange={(e) => {
+                  const v = parseFloat(e.target.value);
+                  if (v > 0) setSlicingParams((p) => ({ ...p, adaptiveTolerance: v }));
+                }}
+                style={{ width: 50, marginLeft: 4 }}
+              />
+              mm
+            </label>
+          </span>
+        )}
+
+        <label>
+          <input type="checkbox" checked={showLayerList} onChange={() => setShowLayerList((v) => !v)} disabled={!isStack} style={{ marginRight: 5 }} />
+          Layer list
+        </label>
+
+        <label title="In waffle mode: number of ribs in each direction">
           Cut-outs (3-10):
           <select
             value={slicingParams.cutouts}
@@ -483,8 +1301,94 @@ const exportDXF = () => {
           </select>
         </label>
 
+        {isRadial && (
+          <span>
+            <label title="Profiles rotated around the axis">
+              Fins:
+              <input
+                type="number"
+                min={2}
+                max={72}
+                value={slicingParams.finCount}
+                onChange={(e) => {
+                  const v = parseInt(e.target.value, 10);
+                  if (v >= 2 && v <= 72) setSlicingParams((p) => ({ ...p, finCount: v }));
+                }}
+                style={{ width: 45, marginLeft: 4 }}
+              />
+            </label>
+            <label title="Slotted discs across the axis holding the fins">
+              Hubs:
+              <select
+                value={slicingParams.hubCount}
+                onChange={(e) => setSlicingParams((p) => ({ ...p, hubCount: parseInt(e.target.value, 10) }))}
+                style={{ marginLeft: 4 }}
+              >
+                {[0, 1, 2, 3, 4].map((n) => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </label>
+            <label style={{ marginLeft: 8 }}>
+              ⌀
+              <input
+                type="number"
+                min={5}
+                step={1}
+                value={slicingParams.hubDiameter}
+                onChange={(e) => {
+                  const v = parseFloat(e.target.value);
+                  if (v > 0) setSlicingParams((p) => ({ ...p, hubDiameter: v }));
+                }}
+                disabled={!slicingParams.hubCount}
+                style={{ width: 50, marginLeft: 4 }}
+              />
+              mm
+            </label>
+            <label title="Central rod through the hubs, 0 for none" style={{ marginLeft: 8 }}>
+              Spine ⌀
+              <input
+                type="number"
+                min={0}
+                step={0.5}
+                value={slicingParams.spineDiameter}
+                onChange={(e) => {
+                  const v = parseFloat(e.target.value);
+                  if (v >= 0) setSlicingParams((p) => ({ ...p, spineDiameter: v }));
+                }}
+                style={{ width: 50, marginLeft: 4 }}
+              />
+              mm
+            </label>
+          </span>
+        )}
+
+        <label>
+          <input
+            type="checkbox"
+            checked={slicingParams.labels}
+            onChange={() => setSlicingParams((p) => ({ ...p, labels: !p.labels }))}
+            style={{ marginRight: 5 }}
+          />
+          Labels
+        </label>
+
+        <label>
+          Kerf:
+          <input
+            type="number"
+            min={0}
+            max={5}
+            step={0.01}
+            value={slicingParams.kerf}
+            onChange={handleKerfChange}
+            style={{ marginLeft: 5, width: 60 }}
+          />
+          mm
+        </label>
+
         <label>
-          <input type="checkbox" checked={slicingParams.showSlices} onChange={handleToggleSlices} style={{ marginRight: 5 }} />
+          <input type="checkbox" checked={showSlices} onChange={handleToggleSlices} style={{ marginRight: 5 }} />
           Show Slices
         </label>
 
@@ -494,21 +1398,121 @@ const exportDXF = () => {
         </label>
 
         <label>
-          <input type="checkbox" checked={showMiddleSlice} onChange={handleToggleMiddleSlice} style={{ marginRight: 5 }} />
+          <input type="checkbox" checked={showMiddleSlice} onChange={handleToggleMiddleSlice} disabled={!isStack} style={{ marginRight: 5 }} />
           Middle Slice
         </label>
 
-        <label>
+        <label title="Slices as solid plates of their real thickness">
+          <input type="checkbox" checked={showAssembly} onChange={() => setShowAssembly((v) => !v)} style={{ marginRight: 5 }} />
+          Plates
+        </label>
+
+        {showAssembly && (
+          <span>
+            <label title="Pull the plates apart">
+              Explode
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.01}
+                value={explode}
+                onChange={(e) => setExplode(parseFloat(e.target.value))}
+                style={{ marginLeft: 5, width: 80, verticalAlign: 'middle' }}
+              />
+            </label>
+            <button onClick={() => setBuildStep((step) => (step === null ? 0 : null))} style={{ padding: '3px 8px', marginLeft: 5 }}>
+              {buildStep === null ? 'Play build' : 'Stop'}
+            </button>
+          </span>
+        )}
+
+        <label title="Colour the model by its distance from the stepped stack">
+          <input type="checkbox" checked={showDeviation} onChange={() => setShowDeviation((v) => !v)} disabled={!fullStack} style={{ marginRight: 5 }} />
+          Deviation
+        </label>
+
+        {deviation && (
+          <span style={{ fontSize: '0.85em' }}>
+            mean {deviation.mean.toFixed(2)} mm, max {deviation.max.toFixed(2)} mm (red ≥ {deviation.limit} mm)
+          </span>
+        )}
+
+        <label title="In waffle mode: axis the ribs stand on; in radial mode: axis the fins turn around">
           Plane:
           <select value={slicingParams.slicingPlane} onChange={handlePlaneChange} style={{ marginLeft: 5 }}>
             <option value="Z">Z</option>
             <option value="X">X</option>
             <option value="Y">Y</option>
+            <option value="custom">Custom</option>
+          </select>
+        </label>
+
+        {slicingParams.slicingPlane === 'custom' && (
+          <label title="Plane normal; drag the gizmo rings or type the components">
+            Normal:
+            {[0, 1, 2].map((i) => (
+              <input
+                key={i}
+                type="number"
+                step="0.1"
+                value={slicingParams.planeNormal[i]}
+                onChange={handlePlaneNormalChange(i)}
+                style={{ marginLeft: 5, width: 55 }}
+              />
+            ))}
+            <input type="checkbox" checked={showPlaneGizmo} onChange={() => setShowPlaneGizmo((v) => !v)} style={{ marginLeft: 8, marginRight: 5 }} />
+            Gizmo
+          </label>
+        )}
+
+        <label title="Degrees about X, Y and Z; the model keeps its scale as it turns">
+          Rotate:
+          {[0, 1, 2].map((i) => (
+            <input
+              key={i}
+              type="number"
+              step={15}
+              value={slicingParams.rotation[i]}
+              onChange={handleRotationChange(i)}
+              disabled={!geometry}
+              style={{ marginLeft: 5, width: 55 }}
+            />
+          ))}
+        </label>
+
+        <button
+          onClick={() => {
+            setLayingFlat((v) => !v);
+            setPickingDowels(false);
+          }}
+          disabled={!geometry}
+          title="Click a face to put it down on the slicing plane"
+          style={{ padding: '3px 8px', background: layingFlat ? '#ffb000' : undefined }}
+        >
+          {layingFlat ? 'Click a face…' : 'Lay flat'}
+        </button>
+
+        <span title="Tries the model's largest faces and the axes as the bottom">
+          <select value={orientGoal} onChange={(e) => setOrientGoal(e.target.value)} style={{ marginRight: 5 }}>
+            <option value="layers">Fewest layers</option>
+            <option value="section">Sturdiest layers</option>
           </select>
+          <button onClick={handleAutoOrient} disabled={!geometry} style={{ padding: '3px 8px' }}>Auto-orient</button>
+        </span>
+
+        <label title="Centre the model over the origin with its lowest point at Z = 0">
+          <input
+            type="checkbox"
+            checked={slicingParams.placeOnBed}
+            onChange={() => setSlicingParams((p) => ({ ...p, placeOnBed: !p.placeOnBed, dowelPoints: [] }))}
+            style={{ marginRight: 5 }}
+          />
+          Place on bed
         </label>
 
         <label>
-          <input type="checkbox" checked={slicingParams.singleSliceMode} onChange={handleToggleSingleSliceMode} disabled={showMiddleSlice} style={{ marginRight: 5 }} />
+          <input type="checkbox" checked={slicingParams.singleSliceMode} onChange={handleToggleSingleSliceMode} disabled={showMiddleSlice || !isStack} style={{ marginRight: 5 }} />
           Single Slice
         </label>
 
@@ -527,17 +1531,198 @@ const exportDXF = () => {
           <span style={{ marginLeft: 5 }}>{slicingParams.currentSliceValue.toFixed(2)}</span>
         </label>
 
+        <label title="The current layer in 2-D with measurements; arrow keys step through the layers">
+          <input type="checkbox" checked={showInspector} onChange={() => setShowInspector((v) => !v)} disabled={!isStack} style={{ marginRight: 5 }} />
+          Inspector
+        </label>
+
+        <label title="Alignment holes through every layer">
+          Dowels:
+          <select
+            value={slicingParams.dowelCount}
+            onChange={(e) => setSlicingParams((p) => ({ ...p, dowelCount: parseInt(e.target.value, 10) }))}
+            disabled={slicingParams.dowelPoints.length > 0 || !isStack}
+            style={{ marginLeft: 5 }}
+          >
+            {[0, 1, 2, 3, 4, 5, 6].map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+          ⌀
+          <input
+            type="number"
+            min={1}
+            step={0.5}
+            value={slicingParams.dowelDiameter}
+            onChange={(e) => {
+              const v = parseFloat(e.target.value);
+              if (v > 0) setSlicingParams((p) => ({ ...p, dowelDiameter: v }));
+            }}
+            style={{ width: 45 }}
+          />
+          mm
+        </label>
+
+        <button
+          onClick={() => {
+            setPickingDowels((v) => !v);
+            setLayingFlat(false);
+          }}
+          disabled={!isStack}
+          style={{ padding: '3px 8px', background: pickingDowels ? '#ffb000' : undefined }}
+        >
+          {pickingDowels ? 'Picking… (click model)' : 'Pick dowels'}
+        </button>
+        {slicingParams.dowelPoints.length > 0 && (
+          <button onClick={() => setSlicingParams((p) => ({ ...p, dowelPoints: [] }))} style={{ padding: '3px 8px' }}>
+            Clear {slicingParams.dowelPoints.length} picked
+          </button>
+        )}
+
+        <label>
+          <input
+            type="checkbox"
+            checked={slicingParams.glueGuides}
+            onChange={() => setSlicingParams((p) => ({ ...p, glueGuides: !p.glueGuides }))}
+            disabled={!isStack}
+            style={{ marginRight: 5 }}
+          />
+          Glue guides
+        </label>
+
+        <label>
+          Sheet:
+          <input type="number" min={1} value={nestingParams.sheetWidth} onChange={handleNestingChange('sheetWidth')} style={{ marginLeft: 5, width: 55 }} />
+          ×
+          <input type="number" min={1} value={nestingParams.sheetHeight} onChange={handleNestingChange('sheetHeight')} style={{ width: 55 }} />
+          mm, gap
+          <input type="number" min={0} value={nestingParams.spacing} onChange={handleNestingChange('spacing')} style={{ marginLeft: 5, width: 40 }} />
+        </label>
+
+        <label>
+          <input
+            type="checkbox"
+            checked={nestingParams.allowRotation}
+            onChange={() => setNestingParams((p) => ({ ...p, allowRotation: !p.allowRotation }))}
+            style={{ marginRight: 5 }}
+          />
+          Rotate parts
+        </label>
+
+        <label>
+          <input type="checkbox" checked={showSheets} onChange={() => setShowSheets((v) => !v)} style={{ marginRight: 5 }} />
+          Sheets ({nesting.sheets.length})
+        </label>
+
+        <button onClick={saveProject} disabled={!geometry} style={{ padding: '3px 8px' }}>Save project</button>
         <button onClick={exportSVG} style={{ padding: '3px 8px' }}>Export SVG</button>
-        <button onClick={exportDXF} style={{ padding: '3px 8px' }}>Export DXF</button>
+        <button onClick={exportLayerList} disabled={!isStack} style={{ padding: '3px 8px' }}>Export layers</button>
+        <button onClick={exportDXF} title="R12 DXF in millimetres; R12 files carry no units, so import them as mm" style={{ padding: '3px 8px' }}>
+          Export DXF
+        </button>
+
+        <label title="Material, cost, weight and cut time for the current slices">
+          <input type="checkbox" checked={showEstimate} onChange={() => setShowEstimate((v) => !v)} style={{ marginRight: 5 }} />
+          Estimate
+        </label>
+
+        <label title="GRBL toolpaths with preview and time estimate">
+          <input type="checkbox" checked={showGcode} onChange={() => setShowGcode((v) => !v)} style={{ marginRight: 5 }} />
+          G-code
+        </label>
+
+        <span title="Printed 1:1 templates, large parts tiled across pages">
+          <select value={paperSize} onChange={(e) => setPaperSize(e.target.value)} style={{ marginRight: 5 }}>
+            {Object.keys(PAPER_SIZES).map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <button onClick={exportPDF} style={{ padding: '3px 8px' }}>Export PDF</button>
+        </span>
 
         {geometry && (
           <span style={{ fontSize: '0.85em' }}>
-            Total Layers: {totalLayers} | Dimensions: L{modelDims.x} W{modelDims.y} H{modelDims.z}
+            {isWaffle
+              ? `Ribs: 2 × ${slicingParams.cutouts}`
+              : isRadial
+                ? `Fins: ${slicingParams.finCount} | Hubs: ${slicingParams.hubCount}`
+                : `Total Layers: ${totalLayers}`} | Dimensions: L{modelDims.x} W{modelDims.y} H{modelDims.z}
+          </span>
+        )}
+
+        {sliceProgress && (
+          <span style={{ fontSize: '0.85em' }}>
+            {JOB_STAGES[sliceProgress.stage] || 'Slicing'}
+            {/* No value while the total is unknown: an indeterminate bar */}
+            <progress
+              value={sliceProgress.total > 0 ? sliceProgress.done : undefined}
+              max={sliceProgress.total > 0 ? sliceProgress.total : undefined}
+              style={{ margin: '0 5px', width: 100, verticalAlign: 'middle' }}
+            />
+            {sliceProgress.total > 0 && sliceProgress.stage === 'slicing' && `${sliceProgress.done}/${sliceProgress.total}`}
+            <button onClick={handleCancelSlicing} style={{ padding: '1px 6px', marginLeft: 5 }}>Cancel</button>
+          </span>
+        )}
+
+        {unclosedSlices.length > 0 && (
+          <span style={{ fontSize: '0.85em', color: '#ffb000' }}>
+            {unclosedSlices.length} slice(s) could not be closed at {unclosedSlices.map((v) => v.toFixed(2)).join(', ')}
+          </span>
+        )}
+        {unjoinedHubs.length > 0 && (
+          <span style={{ fontSize: '0.85em', color: '#ffb000' }}>
+            {unjoinedHubs.length} hub(s) meet no fin and will not interlock
+            {finStarts.length > 0 && ` — fins start ${(2 * Math.max(...finStarts)).toFixed(1)} mm across, make the hubs larger than that`}
           </span>
         )}
       </div>
 
-      <div ref={mountRef} style={{ width: '100%', height: 'calc(100vh - 50px)' }} />
+      {loadError && (
+        <div role="alert" style={{ padding: 10, background: '#5a1d1d', color: '#fff' }}>
+          {fileName ? `${fileName}: ` : ''}{loadError}
+        </div>
+      )}
+
+      {sliceError && (
+        <div role="alert" style={{ padding: 10, background: '#5a1d1d', color: '#fff' }}>
+          Slicing failed: {sliceError}
+        </div>
+      )}
+
+      <MeshReport
+        report={meshReport}
+        highlight={showMeshIssues}
+        onToggleHighlight={() => setShowMeshIssues((v) => !v)}
+        maxHoleEdges={maxHoleEdges}
+        onMaxHoleEdgesChange={setMaxHoleEdges}
+        onRepair={handleRepair}
+        lastRepair={lastRepair}
+      />
+
+      {showLayerList && isStack && (
+        <LayerList
+          layers={slicingParams.layerMode === 'manual' ? slicingParams.manualLayers : layerPlan}
+          editable={slicingParams.layerMode === 'manual'}
+          min={minR}
+          max={maxR}
+          thicknessOptions={thicknessOptions}
+          selectedIndex={selectedLayer}
+          onSelect={setSelectedLayer}
+          onChange={(manualLayers) => setSlicingParams((p) => ({ ...p, manualLayers }))}
+        />
+      )}
+
+      {showSheets && <SheetPreview nesting={nesting} />}
+      {showMaterials && <MaterialPanel library={materials} onChange={handleMaterialsChange} onExport={exportMaterials} />}
+      {showEstimate && <EstimatorPanel estimate={estimate} params={estimateParams} onChange={setEstimateParams} />}
+      {showGcode && <GcodePanel sheets={nesting.sheets} params={gcodeParams} kerf={debouncedSlicingParams.kerf} onChange={setGcodeParams} onExport={exportGcode} />}
+
+      <div style={{ display: 'flex', height: 'calc(100vh - 50px)' }}>
+        <div ref={mountRef} style={{ flex: 1, minWidth: 0, overflow: 'hidden' }} />
+        {showInspector && isStack && (
+          <SliceInspector slice={inspectedSlice} index={slicingParams.currentLayerIndex} count={totalLayers} onStep={stepLayer} />
+        )}
+      </div>
     </div>
   );
 };
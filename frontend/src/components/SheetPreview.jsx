@@ -0,0 +1,49 @@
+import React from 'react';
+
+// Flat path → SVG sub-path with the Y axis flipped about the sheet height
+const subPath = (path, height) => {
+  const pts = [];
+  for (let i = 0; i < path.length; i += 2) pts.push(`${path[i].toFixed(2)} ${(height - path[i + 1]).toFixed(2)}`);
+  return `M ${pts.join(' L ')}`;
+};
+
+const SheetPreview = ({ nesting, width = 240 }) => {
+  if (!nesting || (!nesting.sheets.length && !nesting.unplaced.length)) return null;
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 10, padding: 10, background: '#202020', color: '#ddd', fontSize: '0.85em' }}>
+      {nesting.sheets.map((sheet, i) => (
+        <figure key={i} style={{ margin: 0 }}>
+          <svg
+            viewBox={`0 0 ${sheet.width} ${sheet.height}`}
+            width={width}
+            height={(width * sheet.height) / sheet.width}
+            style={{ background: '#d8b98a', display: 'block' }}
+          >
+            {sheet.placements.map((p, j) => (
+              <g key={j} strokeWidth={Math.max(sheet.width, sheet.height) / width}>
+                <path
+                  d={[p.shape.outer, ...p.shape.holes].map((path) => `${subPath(path, sheet.height)} Z`).join(' ')}
+                  fillRule="evenodd"
+                  fill="#8a5a2b"
+                  stroke="#ff0000"
+                />
+                <path d={p.shape.engrave.map((path) => subPath(path, sheet.height)).join(' ')} fill="none" stroke="#0000ff" />
+              </g>
+            ))}
+          </svg>
+          <figcaption>
+            Sheet {i + 1}{sheet.thickness ? ` (${sheet.thickness} mm)` : ''}: {sheet.placements.length} part(s)
+          </figcaption>
+        </figure>
+      ))}
+      {nesting.unplaced.length > 0 && (
+        <span style={{ color: '#ffb000', alignSelf: 'center' }}>
+          {nesting.unplaced.length} part(s) larger than the sheet were left out
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SheetPreview;
@@ -0,0 +1,304 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { pathBounds, pathLength } from './pathUtils';
+
+const SIZE = 420;          // px, square drawing area
+const GRID_MIN_PX = 16;    // closest the minor grid lines may get on screen
+const SNAP_PX = 8;         // measure clicks snap to a contour vertex this close
+const ZOOM_STEP = 1.2;
+
+// Flat path → SVG sub-path in mm, v flipped so it points up the screen
+const subPath = (path, closed) => {
+  const pts = [];
+  for (let i = 0; i < path.length; i += 2) pts.push(`${path[i].toFixed(3)} ${(-path[i + 1]).toFixed(3)}`);
+  return `M ${pts.join(' L ')}${closed ? ' Z' : ''}`;
+};
+
+// 1, 2 or 5 × 10ⁿ mm: the finest step that keeps grid lines GRID_MIN_PX apart
+const gridStep = (zoom) => {
+  const raw = GRID_MIN_PX / zoom;
+  const base = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].map((m) => m * base).find((s) => s >= raw);
+};
+
+const fitView = (paths) => {
+  const { minX, minY, maxX, maxY } = pathBounds(paths);
+  if (!Number.isFinite(minX)) return { x: 0, y: 0, zoom: 1 };
+  return { x: (minX + maxX) / 2, y: (minY + maxY) / 2, zoom: (SIZE * 0.9) / Math.max(maxX - minX, maxY - minY, 1) };
+};
+
+const cell = { textAlign: 'right', paddingRight: 10 };
+
+/**
+ * The selected layer in true 2-D, in the slice's own (u, v) millimetres:
+ * wheel to zoom, drag to pan, a mm grid, per-contour measurements and a
+ * click-to-measure ruler. Arrow keys step through the layers via `onStep`,
+ * the same path as the Layer slider, so both stay in step.
+ */
+const SliceInspector = ({ slice, index, count, onStep }) => {
+  const svgRef = useRef(null);
+  const [view, setView] = useState(null);
+  const [measuring, setMeasuring] = useState(false);
+  const [ruler, setRuler] = useState([]);
+  const [selected, setSelected] = useState(null);
+
+  const paths = useMemo(
+    () => (slice ? [...slice.shapes.flatMap((s) => [s.outer, ...s.holes]), ...slice.openPaths] : []),
+    [slice]
+  );
+  const contours = useMemo(
+    () =>
+      (slice?.shapes || []).map((shape) => {
+        const { minX, minY, maxX, maxY } = pathBounds([shape.outer]);
+        return {
+          area: shape.area,
+          perimeter: [shape.outer, ...shape.holes].reduce((sum, p) => sum + pathLength(p), 0),
+          width: maxX - minX,
+          height: maxY - minY,
+          holes: shape.holes.length,
+        };
+      }),
+    [slice]
+  );
+
+  // The first layer shown sets the view, which then holds while stepping so
+  // layers can be compared; Fit or a new plane starts over
+  const plane = slice?.plane;
+  useEffect(() => {
+    setView(null);
+    setRuler([]);
+    setSelected(null);
+  }, [plane]);
+  useEffect(() => {
+    if (!view && paths.length) setView(fitView(paths));
+  }, [view, paths]);
+  const current = view || fitView(paths);
+
+  // Screen point → slice mm
+  const toModel = useCallback(
+    (e) => {
+      const rect = svgRef.current.getBoundingClientRect();
+      return [current.x + (e.clientX - rect.left - SIZE / 2) / current.zoom, current.y - (e.clientY - rect.top - SIZE / 2) / current.zoom];
+    },
+    [current]
+  );
+
+  // Wheel zoom keeps the point under the cursor in place; React's wheel listener is passive
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const [mx, my] = toModel(e);
+      const factor = e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      setView({
+        x: mx - (mx - current.x) / factor,
+        y: my - (my - current.y) / factor,
+        zoom: current.zoom * factor,
+      });
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  }, [current, toModel]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      if (e.key === 'ArrowUp' || e.key === 'ArrowRight') onStep(1);
+      else if (e.key === 'ArrowDown' || e.key === 'ArrowLeft') onStep(-1);
+      else if (e.key === 'Escape') setRuler([]);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onStep]);
+
+  // Drag pans; a click that doesn't move places a ruler end when measuring
+  const drag = useRef(null);
+  const onPointerDown = (e) => {
+    drag.current = { x: e.clientX, y: e.clientY, view: current, moved: false };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const onPointerMove = (e) => {
+    const d = drag.current;
+    if (!d) return;
+    const dx = e.clientX - d.x;
+    const dy = e.clientY - d.y;
+    if (!d.moved && Math.hypot(dx, dy) < 4) return;
+    d.moved = true;
+    setView({ ...d.view, x: d.view.x - dx / d.view.zoom, y: d.view.y + dy / d.view.zoom });
+  };
+  const onPointerUp = (e) => {
+    const d = drag.current;
+    drag.current = null;
+    if (!d || d.moved || !measuring) return;
+    let point = toModel(e);
+    let best = SNAP_PX / current.zoom;
+    paths.forEach((path) => {
+      for (let i = 0; i < path.length; i += 2) {
+        const dist = Math.hypot(path[i] - point[0], path[i + 1] - point[1]);
+        if (dist < best) {
+          best = dist;
+          point = [path[i], path[i + 1]];
+        }
+      }
+    });
+    setRuler((r) => (r.length === 1 ? [r[0], point] : [point]));
+  };
+
+  if (!slice) {
+    return (
+      <div style={{ width: SIZE + 20, padding: 10, background: '#202020', color: '#ddd', fontSize: '0.85em' }}>
+        No slice to inspect yet.
+      </div>
+    );
+  }
+
+  // Grid over the visible area, every fifth line labelled
+  const half = SIZE / 2 / current.zoom;
+  const step = gridStep(current.zoom);
+  const lines = (from, to) => {
+    const out = [];
+    for (let i = Math.ceil(from / step); i * step <= to; i++) out.push(i);
+    return out;
+  };
+  const xs = lines(current.x - half, current.x + half);
+  const ys = lines(current.y - half, current.y + half);
+  const px = 1 / current.zoom; // one screen pixel in mm
+  const label = (i) => +(i * step).toPrecision(6);
+
+  const rulerLength = ruler.length === 2 ? Math.hypot(ruler[1][0] - ruler[0][0], ruler[1][1] - ruler[0][1]) : null;
+  const totals = contours.reduce((t, c) => ({ area: t.area + c.area, perimeter: t.perimeter + c.perimeter }), { area: 0, perimeter: 0 });
+
+  return (
+    <div style={{ width: SIZE + 20, padding: 10, background: '#202020', color: '#ddd', fontSize: '0.85em', overflowY: 'auto', boxSizing: 'border-box' }}>
+      <div style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 6 }}>
+        <button onClick={() => onStep(-1)} disabled={index <= 0} style={{ padding: '1px 6px' }}>◀</button>
+        <strong>
+          Layer {index + 1} / {count}
+        </strong>
+        <button onClick={() => onStep(1)} disabled={index >= count - 1} style={{ padding: '1px 6px' }}>▶</button>
+        <span>
+          at {slice.value.toFixed(2)} mm, {slice.thickness} mm thick
+        </span>
+      </div>
+      <div style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 6 }}>
+        <button
+          onClick={() => setMeasuring((v) => !v)}
+          style={{ padding: '1px 6px', background: measuring ? '#ffb000' : undefined }}
+          title="Click two points; ends snap to contour vertices"
+        >
+          Measure
+        </button>
+        <button onClick={() => setView(null)} style={{ padding: '1px 6px' }}>Fit</button>
+        <span>grid {+step.toPrecision(6)} mm</span>
+        {rulerLength !== null && (
+          <span style={{ color: '#ffb000' }}>
+            {rulerLength.toFixed(2)} mm (Δu {(ruler[1][0] - ruler[0][0]).toFixed(2)}, Δv {(ruler[1][1] - ruler[0][1]).toFixed(2)})
+          </span>
+        )}
+      </div>
+
+      <svg
+        ref={svgRef}
+        width={SIZE}
+        height={SIZE}
+        viewBox={`${current.x - half} ${-current.y - half} ${2 * half} ${2 * half}`}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        style={{ background: '#111', display: 'block', cursor: measuring ? 'crosshair' : 'grab', touchAction: 'none' }}
+      >
+        <g strokeWidth={px}>
+          {xs.map((i) => (
+            <line key={`x${i}`} x1={i * step} x2={i * step} y1={-current.y - half} y2={-current.y + half} stroke={i % 5 ? '#262626' : '#3c3c3c'} />
+          ))}
+          {ys.map((i) => (
+            <line key={`y${i}`} x1={current.x - half} x2={current.x + half} y1={-i * step} y2={-i * step} stroke={i % 5 ? '#262626' : '#3c3c3c'} />
+          ))}
+        </g>
+        <g fontSize={10 * px} fill="#777">
+          {xs.filter((i) => i % 5 === 0).map((i) => (
+            <text key={`tx${i}`} x={i * step + 2 * px} y={-current.y + half - 3 * px}>{label(i)}</text>
+          ))}
+          {ys.filter((i) => i % 5 === 0).map((i) => (
+            <text key={`ty${i}`} x={current.x - half + 2 * px} y={-i * step - 2 * px}>{label(i)}</text>
+          ))}
+        </g>
+
+        {slice.shapes.map((shape, i) => (
+          <g key={i} strokeWidth={(selected === i ? 2.5 : 1.2) * px}>
+            <path
+              d={[shape.outer, ...shape.holes].map((p) => subPath(p, true)).join(' ')}
+              fillRule="evenodd"
+              fill={selected === i ? 'rgba(255, 176, 0, 0.35)' : 'rgba(216, 185, 138, 0.25)'}
+              stroke="none"
+            />
+            <path d={subPath(shape.outer, true)} fill="none" stroke="#ff0000" />
+            {shape.holes.map((hole, j) => (
+              <path key={j} d={subPath(hole, true)} fill="none" stroke="#ffa500" />
+            ))}
+            {shape.engrave.map((mark, j) => (
+              <path key={`e${j}`} d={subPath(mark, false)} fill="none" stroke="#3399ff" />
+            ))}
+          </g>
+        ))}
+        {slice.openPaths.map((path, i) => (
+          <path key={`o${i}`} d={subPath(path, false)} fill="none" stroke="#00ff00" strokeWidth={1.2 * px} />
+        ))}
+
+        {ruler.length > 0 && (
+          <g stroke="#ffb000" fill="#ffb000" strokeWidth={1.5 * px}>
+            {ruler.length === 2 && <line x1={ruler[0][0]} y1={-ruler[0][1]} x2={ruler[1][0]} y2={-ruler[1][1]} />}
+            {ruler.map(([x, y], i) => (
+              <circle key={i} cx={x} cy={-y} r={3 * px} />
+            ))}
+          </g>
+        )}
+      </svg>
+
+      <table style={{ borderCollapse: 'collapse', marginTop: 8, width: '100%' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>#</th>
+            <th style={cell}>Area (mm²)</th>
+            <th style={cell}>Perimeter (mm)</th>
+            <th style={cell}>Bounds (mm)</th>
+            <th style={cell}>Holes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {contours.map((c, i) => (
+            <tr
+              key={i}
+              onClick={() => setSelected(selected === i ? null : i)}
+              style={{ background: selected === i ? '#3a3f4b' : undefined, cursor: 'pointer' }}
+            >
+              <td>{i + 1}</td>
+              <td style={cell}>{c.area.toFixed(1)}</td>
+              <td style={cell}>{c.perimeter.toFixed(1)}</td>
+              <td style={cell}>
+                {c.width.toFixed(1)} × {c.height.toFixed(1)}
+              </td>
+              <td style={cell}>{c.holes}</td>
+            </tr>
+          ))}
+          {contours.length > 1 && (
+            <tr style={{ borderTop: '1px solid #444' }}>
+              <td>Σ</td>
+              <td style={cell}>{totals.area.toFixed(1)}</td>
+              <td style={cell}>{totals.perimeter.toFixed(1)}</td>
+              <td />
+              <td />
+            </tr>
+          )}
+        </tbody>
+      </table>
+      {slice.openPaths.length > 0 && (
+        <div style={{ color: '#ffb000', marginTop: 6 }}>{slice.openPaths.length} open chain(s) could not be closed on this layer</div>
+      )}
+    </div>
+  );
+};
+
+export default SliceInspector;
@@ -0,0 +1,42 @@
+/* ----------------------------------------------------------
+   Small meshes built in code for the tests, as flat triangle
+   soups in mm with outward winding. indexMesh welds them.
+---------------------------------------------------------- */
+// Two triangles a–b–c, a–c–d, keeping the quad's winding
+const quad = (a, b, c, d) => [...a, ...b, ...c, ...a, ...c, ...d];
+
+/**
+ * Prism of a polygon drawn counter-clockwise in the XZ plane, extruded from
+ * y = 0 to y = depth. The caps are fanned from the first corner, which must
+ * see every other corner.
+ */
+export function extrude(profile, depth) {
+  const tris = [];
+  profile.forEach(([x0, z0], i) => {
+    const [x1, z1] = profile[(i + 1) % profile.length];
+    tris.push(...quad([x0, 0, z0], [x0, depth, z0], [x1, depth, z1], [x1, 0, z1]));
+  });
+  const [fx, fz] = profile[0];
+  for (let i = 1; i + 1 < profile.length; i++) {
+    const [[ax, az], [bx, bz]] = [profile[i], profile[i + 1]];
+    tris.push(fx, 0, fz, ax, 0, az, bx, 0, bz);
+    tris.push(fx, depth, fz, bx, depth, bz, ax, depth, az);
+  }
+  return new Float32Array(tris);
+}
+
+export const box = (width, depth, height) => extrude([[0, 0], [width, 0], [width, height], [0, height]], depth);
+
+/** Round tube standing on z = 0 around the Z axis, as a `segments`-sided polygon */
+export function tube(outerRadius, innerRadius, height, segments = 48) {
+  const tris = [];
+  const at = (r, i, z) => [r * Math.cos((i / segments) * 2 * Math.PI), r * Math.sin((i / segments) * 2 * Math.PI), z];
+  for (let i = 0; i < segments; i++) {
+    const j = i + 1;
+    tris.push(...quad(at(outerRadius, i, 0), at(outerRadius, j, 0), at(outerRadius, j, height), at(outerRadius, i, height)));
+    tris.push(...quad(at(innerRadius, i, 0), at(innerRadius, i, height), at(innerRadius, j, height), at(innerRadius, j, 0)));
+    tris.push(...quad(at(outerRadius, i, 0), at(innerRadius, i, 0), at(innerRadius, j, 0), at(outerRadius, j, 0)));
+    tris.push(...quad(at(outerRadius, i, height), at(outerRadius, j, height), at(innerRadius, j, height), at(innerRadius, i, height)));
+  }
+  return new Float32Array(tris);
+}
@@ -0,0 +1,270 @@
+/* ----------------------------------------------------------
+   3-D assembly preview: slices extruded to plates of their
+   real thickness, exploded view, and how far the stepped
+   stack strays from the original surface
+---------------------------------------------------------- */
+import * as THREE from 'three';
+
+const WOOD_REPEAT = 150;  // mm of plate covered by one copy of the grain texture
+const EXPLODE_GAP = 3;    // stack gap at full explode, in plate thicknesses
+
+let woodTexture = null;
+let plateMaterials = null;
+
+// Procedural birch grain, drawn once and shared by every plate
+function woodGrain() {
+  if (woodTexture) return woodTexture;
+  const size = 256;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#d9b382';
+  ctx.fillRect(0, 0, size, size);
+  for (let line = 0; line < 48; line++) {
+    const y0 = (line / 48) * size;
+    ctx.strokeStyle = `rgba(120, 80, 40, ${0.08 + 0.12 * ((line * 7) % 5) / 4})`;
+    ctx.lineWidth = 1 + ((line * 3) % 4);
+    ctx.beginPath();
+    // Wrapping periods keep the texture seamless when it repeats
+    for (let x = 0; x <= size; x += 8) {
+      const y = y0 + 3 * Math.sin((x / size) * 2 * Math.PI * 2 + line) + 1.5 * Math.sin((x / size) * 2 * Math.PI * 5);
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+  woodTexture = new THREE.CanvasTexture(canvas);
+  woodTexture.wrapS = woodTexture.wrapT = THREE.RepeatWrapping;
+  woodTexture.repeat.set(1 / WOOD_REPEAT, 1 / WOOD_REPEAT);
+  woodTexture.colorSpace = THREE.SRGBColorSpace;
+  return woodTexture;
+}
+
+// Caps get the grain, the cut sides the darker laser-burnt edge. One pair
+// serves every assembly, so re-slicing never compiles new programs; it is
+// marked shared so disposing an old assembly leaves it alone.
+function platePair() {
+  if (plateMaterials) return plateMaterials;
+  plateMaterials = [
+    new THREE.MeshStandardMaterial({ map: woodGrain(), roughness: 0.85 }),
+    new THREE.MeshStandardMaterial({ color: 0x6b4a2b, roughness: 0.9 }),
+  ];
+  plateMaterials.forEach((m) => (m.userData.shared = true));
+  return plateMaterials;
+}
+
+const toShape = ({ outer, holes }) => {
+  const points = (path) => Array.from({ length: path.length / 2 }, (_, i) => new THREE.Vector2(path[2 * i], path[2 * i + 1]));
+  const shape = new THREE.Shape(points(outer));
+  holes.forEach((hole) => shape.holes.push(new THREE.Path(points(hole))));
+  return shape;
+};
+
+/**
+ * One solid plate per slice, in slice space. Stack plates run from their cut
+ * position up the slicing normal; waffle ribs and radial fins are centred on
+ * their cut, like their slots. Each mesh carries `userData.explode`, its
+ * offset at full explode, and `userData.order`, its place in the build.
+ * @param {object[]} slices  worker slices, basis including the normal
+ * @returns {THREE.Group}
+ */
+export function buildAssembly(slices) {
+  const group = new THREE.Group();
+  group.name = 'assembly';
+  const materials = platePair();
+
+  const plates = slices.filter((s) => s.shapes.length && s.basis.normal);
+  plates.forEach((slice, order) => {
+    const { origin, u, v, normal } = slice.basis;
+    const axisU = new THREE.Vector3(...u);
+    const axisV = new THREE.Vector3(...v);
+    const across = new THREE.Vector3().crossVectors(axisU, axisV);
+    const up = new THREE.Vector3(...normal);
+
+    const geometry = new THREE.ExtrudeGeometry(slice.shapes.map(toShape), { depth: slice.thickness, bevelEnabled: false, curveSegments: 1 });
+    // Extrusion runs along u × v, which points down the normal for some planes
+    if (slice.rib) geometry.translate(0, 0, -slice.thickness / 2);
+    else if (across.dot(up) < 0) geometry.translate(0, 0, -slice.thickness);
+    geometry.applyMatrix4(new THREE.Matrix4().makeBasis(axisU, axisV, across).setPosition(...origin));
+    geometry.computeBoundingBox();
+
+    const mesh = new THREE.Mesh(geometry, materials);
+    mesh.userData.order = order;
+    mesh.userData.center = geometry.boundingBox.getCenter(new THREE.Vector3());
+    mesh.userData.explode = slice.rib ? null : up.multiplyScalar(order * slice.thickness * EXPLODE_GAP);
+    group.add(mesh);
+  });
+
+  // Ribs and fins spread out from the middle of the assembly instead of along a stack
+  const center = new THREE.Box3().setFromObject(group).getCenter(new THREE.Vector3());
+  group.children.forEach((mesh) => {
+    if (!mesh.userData.explode) mesh.userData.explode = mesh.userData.center.clone().sub(center);
+  });
+  return group;
+}
+
+/**
+ * Moves the plates apart by `amount` (0 = assembled, 1 = fully exploded) and
+ * shows only the first `built` of them, for the build sequence.
+ */
+export function poseAssembly(group, amount, built = Infinity) {
+  group.children.forEach((mesh) => {
+    mesh.position.copy(mesh.userData.explode).multiplyScalar(amount);
+    mesh.visible = mesh.userData.order < built;
+  });
+}
+
+/* ---- Deviation from the original surface ---- */
+
+// Uniform grid over a plate's outline segments, for nearest-edge lookups
+function edgeGrid(shapes) {
+  const segments = [];
+  shapes.forEach(({ outer, holes }) =>
+    [outer, ...holes].forEach((path) => {
+      for (let i = 0; i < path.length; i += 2) {
+        const j = (i + 2) % path.length;
+        segments.push(path[i], path[i + 1], path[j], path[j + 1]);
+      }
+    })
+  );
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < segments.length; i += 2) {
+    minX = Math.min(minX, segments[i]);
+    maxX = Math.max(maxX, segments[i]);
+    minY = Math.min(minY, segments[i + 1]);
+    maxY = Math.max(maxY, segments[i + 1]);
+  }
+  const count = segments.length / 4;
+  const side = Math.max(1, Math.ceil(Math.sqrt(count)));
+  const cell = Math.max(maxX - minX, maxY - minY, 1e-6) / side;
+  const cells = Array.from({ length: side * side }, () => []);
+  // Rows hold each segment once, for the inside test's horizontal ray
+  const rows = Array.from({ length: side }, () => []);
+  const column = (x) => Math.min(side - 1, Math.max(0, Math.floor((x - minX) / cell)));
+  const row = (y) => Math.min(side - 1, Math.max(0, Math.floor((y - minY) / cell)));
+  for (let s = 0; s < count; s++) {
+    const [x1, y1, x2, y2] = segments.slice(4 * s, 4 * s + 4);
+    for (let r = row(Math.min(y1, y2)); r <= row(Math.max(y1, y2)); r++) {
+      rows[r].push(s);
+      for (let c = column(Math.min(x1, x2)); c <= column(Math.max(x1, x2)); c++) cells[r * side + c].push(s);
+    }
+  }
+  return { segments, cells, rows, side, cell, column, row, minY, maxY };
+}
+
+// Even-odd test against all of a plate's outlines, so holes count as outside
+function insideGrid(grid, x, y) {
+  const { segments, rows, row, minY, maxY } = grid;
+  if (y < minY || y > maxY) return false;
+  let inside = false;
+  rows[row(y)].forEach((s) => {
+    const x1 = segments[4 * s], y1 = segments[4 * s + 1], x2 = segments[4 * s + 2], y2 = segments[4 * s + 3];
+    if ((y1 > y) !== (y2 > y) && x < x1 + ((y - y1) / (y2 - y1)) * (x2 - x1)) inside = !inside;
+  });
+  return inside;
+}
+
+const segmentDistance = (segments, s, x, y) => {
+  const ax = segments[4 * s], ay = segments[4 * s + 1];
+  const dx = segments[4 * s + 2] - ax, dy = segments[4 * s + 3] - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.min(1, Math.max(0, ((x - ax) * dx + (y - ay) * dy) / len2)) : 0;
+  return Math.hypot(x - ax - t * dx, y - ay - t * dy);
+};
+
+// Searches rings of cells outwards until nothing further out can be closer
+function nearestEdge(grid, x, y) {
+  const { segments, cells, side, cell, column, row } = grid;
+  const c0 = column(x);
+  const r0 = row(y);
+  let best = Infinity;
+  for (let ring = 0; ring < side; ring++) {
+    for (let r = r0 - ring; r <= r0 + ring; r++) {
+      if (r < 0 || r >= side) continue;
+      const step = r === r0 - ring || r === r0 + ring ? 1 : 2 * ring;
+      for (let c = c0 - ring; c <= c0 + ring; c += step) {
+        if (c < 0 || c >= side) continue;
+        for (const s of cells[r * side + c]) best = Math.min(best, segmentDistance(segments, s, x, y));
+      }
+    }
+    if (best <= ring * cell) break;
+  }
+  return best;
+}
+
+/**
+ * Distance from every vertex of the original mesh to the surface of the
+ * stepped stack, in mm: the wall of the plate at the vertex's height, or the
+ * part of a plate face left uncovered by its neighbour. Vertices between or
+ * beyond plates also count the gap along the normal.
+ * @param {ArrayLike<number>} positions  model vertices, file coordinates
+ * @param {THREE.Matrix4} matrix  file → slice space (placement and scale)
+ * @param {object[]} slices  a full stack of worker slices
+ * @returns {{ values: Float32Array, max: number, mean: number }}
+ */
+export function stackDeviation(positions, matrix, slices) {
+  const plates = slices
+    .filter((s) => s.shapes.length && s.basis.normal)
+    .sort((a, b) => a.value - b.value)
+    .map((s) => ({ value: s.value, top: s.value + s.thickness, basis: s.basis, grid: edgeGrid(s.shapes) }));
+  const values = new Float32Array(positions.length / 3);
+  if (!plates.length) return { values, max: 0, mean: 0 };
+
+  const normal = new THREE.Vector3(...plates[0].basis.normal);
+  const p = new THREE.Vector3();
+  // Gap along the normal from height h to a plate's slab, 0 inside it
+  const gapTo = (plate, h) => Math.max(0, plate.value - h, h - plate.top);
+  let max = 0;
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    p.set(positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]).applyMatrix4(matrix);
+    const h = p.dot(normal);
+    let lo = 0;
+    let hi = plates.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (plates[mid].value <= h) lo = mid;
+      else hi = mid - 1;
+    }
+    const k = plates[lo + 1] && gapTo(plates[lo + 1], h) < gapTo(plates[lo], h) ? lo + 1 : lo;
+    const plate = plates[k];
+    const { u, v } = plate.basis;
+    const x = p.x * u[0] + p.y * u[1] + p.z * u[2];
+    const y = p.x * v[0] + p.y * v[1] + p.z * v[2];
+    const edge = nearestEdge(plate.grid, x, y);
+    const gap = gapTo(plate, h);
+    if (!insideGrid(plate.grid, x, y)) values[i] = Math.hypot(edge, gap);
+    else if (gap > 0) values[i] = gap;
+    else {
+      // A face is surface wherever the touching plate doesn't cover it
+      const above = plates[k + 1];
+      const below = plates[k - 1];
+      const topOpen = !above || above.value > plate.top + 1e-6 || !insideGrid(above.grid, x, y);
+      const bottomOpen = !below || below.top < plate.value - 1e-6 || !insideGrid(below.grid, x, y);
+      values[i] = Math.min(edge, topOpen ? plate.top - h : Infinity, bottomOpen ? h - plate.value : Infinity);
+    }
+    max = Math.max(max, values[i]);
+    sum += values[i];
+  }
+  return { values, max, mean: sum / values.length };
+}
+
+const NEAR = new THREE.Color(0x2ecc40);
+const MID = new THREE.Color(0xffdc00);
+const FAR = new THREE.Color(0xff4136);
+
+/**
+ * Vertex colours for a deviation: green on the surface, through yellow, to
+ * red at `limit` mm and beyond.
+ */
+export function deviationColors(values, limit) {
+  const colors = new Float32Array(values.length * 3);
+  const c = new THREE.Color();
+  for (let i = 0; i < values.length; i++) {
+    const t = Math.min(1, values[i] / (limit || 1));
+    if (t < 0.5) c.lerpColors(NEAR, MID, t * 2);
+    else c.lerpColors(MID, FAR, t * 2 - 1);
+    c.toArray(colors, 3 * i);
+  }
+  return colors;
+}
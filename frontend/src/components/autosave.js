@@ -0,0 +1,55 @@
+/* ----------------------------------------------------------
+   Crash recovery: the open model and the latest viewer state
+   are kept in IndexedDB so a crashed tab can be restored
+---------------------------------------------------------- */
+
+const DB_NAME = 'slicr';
+const STORE = 'autosave';
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Runs `fn` against the store and resolves with its return value once the transaction commits
+async function transaction(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const result = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(result);
+    };
+    tx.onerror = tx.onabort = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+// A new model starts a new recovery point; the previous model's state no longer applies
+export const autosaveModel = (fileName, modelBytes) =>
+  transaction('readwrite', (store) => {
+    store.put({ fileName, modelBytes }, 'model');
+    store.delete('state');
+  });
+
+export const autosaveState = (state) => transaction('readwrite', (store) => store.put({ state, savedAt: Date.now() }, 'state'));
+
+export const clearAutosave = () => transaction('readwrite', (store) => store.clear());
+
+/**
+ * The last autosaved project, or null when there is nothing to recover.
+ * @returns {Promise<{ fileName: string, modelBytes: ArrayBuffer, state: object | null, savedAt: number | null } | null>}
+ */
+export async function loadAutosave() {
+  const requests = await transaction('readonly', (store) => ({ model: store.get('model'), state: store.get('state') }));
+  const model = requests.model.result;
+  if (!model) return null;
+  const saved = requests.state.result;
+  return { fileName: model.fileName, modelBytes: model.modelBytes, state: saved?.state || null, savedAt: saved?.savedAt || null };
+}
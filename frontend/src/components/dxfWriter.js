@@ -0,0 +1,126 @@
+/* ----------------------------------------------------------
+   Minimal AutoCAD R12 (AC1009) DXF writer for flat cut files.
+   R12 is the dialect every CAM / laser package reads, but it has
+   no units: coordinates are millimetres by convention and must be
+   imported as such. $INSUNITS and $MEASUREMENT are only honoured
+   by readers that understand R2000 variables, so they are written
+   as a hint, not relied on.
+---------------------------------------------------------- */
+import { pathBounds } from './pathUtils.js';
+
+// AutoCAD Color Index values used by laser software to tell operations apart
+export const DXF_COLORS = { RED: 1, YELLOW: 2, GREEN: 3, CYAN: 4, BLUE: 5, MAGENTA: 6, WHITE: 7 };
+
+const INSUNITS_MM = 4;
+
+// R12 layer names allow letters, digits, '$', '-' and '_' only
+export const dxfLayerName = (name) => String(name).toUpperCase().replace(/[^A-Z0-9$_-]/g, '_') || '0';
+
+const num = (v) => (Math.abs(v) < 5e-7 ? 0 : v).toFixed(6).replace(/\.?0+$/, '');
+const group = (code, value) => `${code}\n${value}\n`;
+
+/**
+ * Returns the circle a closed path traces when the whole path, edges as well
+ * as vertices, lies within `tolerance` mm of it (e.g. dowel or fixing holes),
+ * otherwise null. Deliberately polygonal holes fail on their edge midpoints.
+ * @param {number[]} path  flat [x0, y0, …] closed path
+ * @param {number} [tolerance=0.02]
+ * @returns {{ center: number[], radius: number } | null}
+ */
+export function fitCircle(path, tolerance = 0.02) {
+  const n = path.length / 2;
+  if (n < 12) return null;
+  let cx = 0, cy = 0;
+  for (let i = 0; i < path.length; i += 2) {
+    cx += path[i] / n;
+    cy += path[i + 1] / n;
+  }
+  const radii = [];
+  for (let i = 0; i < path.length; i += 2) radii.push(Math.hypot(path[i] - cx, path[i + 1] - cy));
+  const radius = radii.reduce((a, b) => a + b, 0) / n;
+  if (!radii.every((r) => Math.abs(r - radius) <= tolerance)) return null;
+  // Each edge sags inside the circle by most at its midpoint
+  for (let i = 0; i < path.length; i += 2) {
+    const j = (i + 2) % path.length;
+    const sagitta = radius - Math.hypot((path[i] + path[j]) / 2 - cx, (path[i + 1] + path[j + 1]) / 2 - cy);
+    if (sagitta > tolerance) return null;
+  }
+  return { center: [cx, cy], radius };
+}
+
+function entityBounds(e) {
+  if (e.type === 'polyline') return pathBounds([e.path]);
+  const [x, y] = e.center;
+  return { minX: x - e.radius, minY: y - e.radius, maxX: x + e.radius, maxY: y + e.radius };
+}
+
+function writeEntity(e) {
+  const layer = dxfLayerName(e.layer);
+  if (e.type === 'circle') {
+    return group(0, 'CIRCLE') + group(8, layer) + group(10, num(e.center[0])) + group(20, num(e.center[1])) + group(30, 0) + group(40, num(e.radius));
+  }
+  if (e.type === 'arc') {
+    // Angles in degrees, counter-clockwise from +X
+    return (
+      group(0, 'ARC') + group(8, layer) + group(10, num(e.center[0])) + group(20, num(e.center[1])) + group(30, 0) +
+      group(40, num(e.radius)) + group(50, num(e.startAngle)) + group(51, num(e.endAngle))
+    );
+  }
+  // Closed paths rely on flag 70 = 1 instead of repeating the first vertex
+  const { path } = e;
+  const n = path.length / 2;
+  const repeatsStart = e.closed && n > 1 && path[0] === path[path.length - 2] && path[1] === path[path.length - 1];
+  let out = group(0, 'POLYLINE') + group(8, layer) + group(66, 1) + group(10, 0) + group(20, 0) + group(30, 0) + group(70, e.closed ? 1 : 0);
+  for (let i = 0; i < (repeatsStart ? n - 1 : n) * 2; i += 2) {
+    out += group(0, 'VERTEX') + group(8, layer) + group(10, num(path[i])) + group(20, num(path[i + 1])) + group(30, 0);
+  }
+  return out + group(0, 'SEQEND') + group(8, layer);
+}
+
+/**
+ * Serialises 2-D entities into an R12 DXF document. Coordinates are written
+ * as given, in mm; the file cannot say so to an R12 reader.
+ * Entities are written in the given order, which most laser software
+ * also uses as cut order.
+ * @param {{ name: string, color?: number }[]} layers  ACI colour per layer, white by default
+ * @param {object[]} entities  { type: 'polyline', layer, path, closed } |
+ *   { type: 'circle', layer, center, radius } |
+ *   { type: 'arc', layer, center, radius, startAngle, endAngle }
+ * @returns {string}
+ */
+export function writeDxf(layers, entities) {
+  const b = entities.map(entityBounds).reduce(
+    (acc, e) => ({
+      minX: Math.min(acc.minX, e.minX),
+      minY: Math.min(acc.minY, e.minY),
+      maxX: Math.max(acc.maxX, e.maxX),
+      maxY: Math.max(acc.maxY, e.maxY),
+    }),
+    { minX: 0, minY: 0, maxX: 0, maxY: 0 }
+  );
+
+  const header =
+    group(0, 'SECTION') + group(2, 'HEADER') +
+    group(9, '$ACADVER') + group(1, 'AC1009') +
+    group(9, '$INSUNITS') + group(70, INSUNITS_MM) +
+    group(9, '$MEASUREMENT') + group(70, 1) +
+    group(9, '$EXTMIN') + group(10, num(b.minX)) + group(20, num(b.minY)) + group(30, 0) +
+    group(9, '$EXTMAX') + group(10, num(b.maxX)) + group(20, num(b.maxY)) + group(30, 0) +
+    group(0, 'ENDSEC');
+
+  const unique = [...new Map(layers.map((l) => [dxfLayerName(l.name), l])).entries()];
+  const tables =
+    group(0, 'SECTION') + group(2, 'TABLES') +
+    group(0, 'TABLE') + group(2, 'LTYPE') + group(70, 1) +
+    group(0, 'LTYPE') + group(2, 'CONTINUOUS') + group(70, 0) + group(3, 'Solid line') + group(72, 65) + group(73, 0) + group(40, 0) +
+    group(0, 'ENDTAB') +
+    group(0, 'TABLE') + group(2, 'LAYER') + group(70, unique.length) +
+    unique.map(([name, l]) => group(0, 'LAYER') + group(2, name) + group(70, 0) + group(62, l.color || DXF_COLORS.WHITE) + group(6, 'CONTINUOUS')).join('') +
+    group(0, 'ENDTAB') +
+    group(0, 'ENDSEC');
+
+  const blocks = group(0, 'SECTION') + group(2, 'BLOCKS') + group(0, 'ENDSEC');
+  const body = group(0, 'SECTION') + group(2, 'ENTITIES') + entities.map(writeEntity).join('') + group(0, 'ENDSEC');
+
+  return header + tables + blocks + body + group(0, 'EOF');
+}
@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+import { writeDxf, fitCircle, dxfLayerName, DXF_COLORS } from './dxfWriter.js';
+
+// n-gon of radius r around (cx, cy) as a flat path
+const polygon = (n, r, cx = 0, cy = 0) =>
+  Array.from({ length: n }, (_, i) => [cx + r * Math.cos((i / n) * 2 * Math.PI), cy + r * Math.sin((i / n) * 2 * Math.PI)]).flat();
+
+// [code, value] pairs of a DXF document
+const groups = (dxf) => {
+  const lines = dxf.split('\n');
+  const out = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) out.push([Number(lines[i]), lines[i + 1]]);
+  return out;
+};
+
+// Entities of the ENTITIES section as { type, codes: [[code, value]…] }
+const entitiesOf = (dxf) => {
+  const all = groups(dxf);
+  const from = all.findIndex(([c, v], i) => c === 2 && v === 'ENTITIES' && all[i - 1][1] === 'SECTION');
+  const out = [];
+  for (let i = from + 1; all[i][1] !== 'ENDSEC'; i++) {
+    if (all[i][0] === 0) out.push({ type: all[i][1], codes: [] });
+    else out[out.length - 1].codes.push(all[i]);
+  }
+  return out;
+};
+const value = (entity, code) => entity.codes.find(([c]) => c === code)?.[1];
+
+describe('fitCircle', () => {
+  it('finds the circle a finely divided round hole traces', () => {
+    const circle = fitCircle(polygon(40, 3, 10, 20));
+    expect(circle.center[0]).toBeCloseTo(10, 6);
+    expect(circle.center[1]).toBeCloseTo(20, 6);
+    expect(circle.radius).toBeCloseTo(3, 6);
+  });
+
+  it('rejects polygons whose edges sag away from the circle', () => {
+    // Every vertex of a 12-gon lies on its circle, but its edges do not
+    expect(fitCircle(polygon(12, 50))).toBeNull();
+    expect(fitCircle(polygon(12, 0.5))).not.toBeNull();
+  });
+
+  it('rejects too few vertices and paths that are not round', () => {
+    expect(fitCircle(polygon(8, 0.5))).toBeNull();
+    const ellipse = polygon(64, 10).map((c, i) => (i % 2 ? c * 0.8 : c));
+    expect(fitCircle(ellipse)).toBeNull();
+  });
+
+  it('takes a looser tolerance when asked', () => {
+    expect(fitCircle(polygon(16, 20))).toBeNull();
+    expect(fitCircle(polygon(16, 20), 0.5)).not.toBeNull();
+  });
+});
+
+describe('writeDxf', () => {
+  const dxf = writeDxf(
+    [
+      { name: 'slice 01', color: DXF_COLORS.RED },
+      { name: 'SLICE_01', color: DXF_COLORS.BLUE },
+      { name: 'engrave' },
+    ],
+    [
+      { type: 'polyline', layer: 'slice 01', path: [0, 0, 30, 0, 30, 20, 0, 20, 0, 0], closed: true },
+      { type: 'polyline', layer: 'engrave', path: [5, 5, 10, 5], closed: false },
+      { type: 'circle', layer: 'slice 01', center: [15, 10], radius: 3 },
+      { type: 'arc', layer: 'engrave', center: [40, 10], radius: 2, startAngle: 0, endAngle: 90 },
+    ]
+  );
+  const all = groups(dxf);
+
+  it('writes an R12 document with the sections in order', () => {
+    expect(all[0]).toEqual([0, 'SECTION']);
+    expect(all.filter(([c], i) => c === 2 && all[i - 1][1] === 'SECTION').map(([, v]) => v)).toEqual(['HEADER', 'TABLES', 'BLOCKS', 'ENTITIES']);
+    expect(all[all.findIndex(([, v]) => v === '$ACADVER') + 1]).toEqual([1, 'AC1009']);
+    expect(all[all.length - 1]).toEqual([0, 'EOF']);
+  });
+
+  it('records the drawing extents, circles and arcs included', () => {
+    const at = (name) => all.findIndex(([, v]) => v === name);
+    expect(all.slice(at('$EXTMIN') + 1, at('$EXTMIN') + 3)).toEqual([[10, '0'], [20, '0']]);
+    expect(all.slice(at('$EXTMAX') + 1, at('$EXTMAX') + 3)).toEqual([[10, '42'], [20, '20']]);
+  });
+
+  it('declares each layer once, with a legal name and its colour', () => {
+    const layers = [];
+    all.forEach(([c, v], i) => {
+      if (c === 0 && v === 'LAYER') layers.push([all[i + 1][1], all[i + 3][1]]);
+    });
+    // "slice 01" and "SLICE_01" are the same R12 layer; the last one given wins
+    expect(layers).toEqual([['SLICE_01', String(DXF_COLORS.BLUE)], ['ENGRAVE', String(DXF_COLORS.WHITE)]]);
+    expect(dxfLayerName('cut/outer #2')).toBe('CUT_OUTER__2');
+  });
+
+  it('writes entities in the order given', () => {
+    expect(entitiesOf(dxf).map((e) => e.type)).toEqual([
+      'POLYLINE', 'VERTEX', 'VERTEX', 'VERTEX', 'VERTEX', 'SEQEND',
+      'POLYLINE', 'VERTEX', 'VERTEX', 'SEQEND',
+      'CIRCLE',
+      'ARC',
+    ]);
+  });
+
+  it('closes polylines by flag rather than by repeating the first vertex', () => {
+    const [closed, , , , , , open] = entitiesOf(dxf);
+    expect(value(closed, 70)).toBe('1');
+    expect(value(closed, 8)).toBe('SLICE_01');
+    expect(value(open, 70)).toBe('0');
+  });
+
+  it('writes circles and arcs by centre, radius and angles', () => {
+    const circle = entitiesOf(dxf).find((e) => e.type === 'CIRCLE');
+    const arc = entitiesOf(dxf).find((e) => e.type === 'ARC');
+    expect([10, 20, 40].map((c) => value(circle, c))).toEqual(['15', '10', '3']);
+    expect([40, 50, 51].map((c) => value(arc, c))).toEqual(['2', '0', '90']);
+  });
+});
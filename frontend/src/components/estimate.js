@@ -0,0 +1,61 @@
+/* ----------------------------------------------------------
+   Material, cost and cut-time estimate for a slice set
+---------------------------------------------------------- */
+import { pathLength } from './pathUtils.js';
+
+export const ESTIMATE_DEFAULTS = {
+  cutSpeed: 300,       // mm/min along cut paths
+  engraveSpeed: 1500,  // mm/min along engraved marks
+  sheetPrice: 12,      // per stock sheet, in the user's currency
+  density: 680,        // kg/m³, birch plywood
+};
+
+const MM3_PER_M3 = 1e9;
+
+export const formatDuration = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const h = Math.floor(m / 60);
+  return h ? `${h} h ${m % 60} min` : `${m} min ${Math.round(seconds % 60)} s`;
+};
+
+/**
+ * Per-part areas and cut lengths plus job totals. Sheet counts come from the
+ * nesting, so they follow the stock size and spacing set for export.
+ * @param {object[]} slices  worker slices
+ * @param {{ sheets: object[], unplaced: object[] }} nesting  per-thickness nesting, sheets tagged with thickness
+ * @param {{ width: number, height: number }} sheetSize  mm
+ * @param {object} params  ESTIMATE_DEFAULTS-shaped settings
+ */
+export function estimateJob(slices, nesting, sheetSize, params) {
+  const parts = slices.flatMap((s, sliceIndex) =>
+    s.shapes.map((shape, shapeIndex) => ({
+      label: `L${sliceIndex + 1}${s.shapes.length > 1 ? `-${shapeIndex + 1}` : ''}`,
+      thickness: s.thickness,
+      area: shape.area,
+      cutLength: [shape.outer, ...shape.holes].reduce((sum, p) => sum + pathLength(p), 0),
+      engraveLength: shape.engrave.reduce((sum, p) => sum + pathLength(p, false), 0),
+    }))
+  );
+
+  const sum = (key) => parts.reduce((total, p) => total + p[key], 0);
+  const sheetsByThickness = {};
+  nesting.sheets.forEach((sheet) => {
+    sheetsByThickness[sheet.thickness] = (sheetsByThickness[sheet.thickness] || 0) + 1;
+  });
+  const cutLength = sum('cutLength');
+  const engraveLength = sum('engraveLength');
+
+  return {
+    parts,
+    partArea: sum('area'),
+    sheetCount: nesting.sheets.length,
+    sheetsByThickness,
+    sheetArea: nesting.sheets.length * sheetSize.width * sheetSize.height,
+    unplaced: nesting.unplaced.length,
+    cutLength,
+    engraveLength,
+    seconds: (cutLength / params.cutSpeed + engraveLength / params.engraveSpeed) * 60,
+    cost: nesting.sheets.length * params.sheetPrice,
+    weight: (parts.reduce((total, p) => total + p.area * p.thickness, 0) / MM3_PER_M3) * params.density,
+  };
+}
@@ -0,0 +1,102 @@
+/* ----------------------------------------------------------
+   Cut files from finished slices: nesting onto stock sheets,
+   SVG and DXF per sheet, and the layer list. Plain strings out,
+   so the viewer saves them as downloads and the slicr CLI writes
+   them to disk; relative imports carry extensions for Node.
+---------------------------------------------------------- */
+import { nestParts } from './nesting.js';
+import { writeDxf, fitCircle, DXF_COLORS } from './dxfWriter.js';
+
+/**
+ * Nests every closed shape of every slice as a separate physical part. Parts
+ * of different thickness come from different stock, so each gets its own sheets.
+ * @param {object[]} slices  Slices as the slicer emits them
+ * @param {{ sheetWidth: number, sheetHeight: number, spacing?: number, allowRotation?: boolean }} nestingParams
+ * @returns {{ sheets: object[], unplaced: object[] }}  Sheets carry the thickness of their parts
+ */
+export function nestSlices(slices, nestingParams) {
+  const parts = slices.flatMap((s, sliceIndex) =>
+    s.shapes.map((shape, shapeIndex) => ({ sliceIndex, shapeIndex, shape, thickness: s.thickness }))
+  );
+  const thicknesses = [...new Set(parts.map((p) => p.thickness))].sort((a, b) => a - b);
+  return thicknesses.reduce(
+    (acc, t) => {
+      const { sheets, unplaced } = nestParts(parts.filter((p) => p.thickness === t), nestingParams);
+      return {
+        sheets: [...acc.sheets, ...sheets.map((sheet) => ({ ...sheet, thickness: t }))],
+        unplaced: [...acc.unplaced, ...unplaced],
+      };
+    },
+    { sheets: [], unplaced: [] }
+  );
+}
+
+export const sheetFileName = (sheet, idx, ext, prefix = 'slice') => `${prefix}-sheet-${idx + 1}-${sheet.thickness}mm.${ext}`;
+
+/**
+ * CSV of the layer plan, one row per layer.
+ * @param {{ value: number, thickness: number }[]} layers
+ * @param {string} plane  Axis letter, or the unit normal of an oblique plane as "0.0000 0.7071 0.7071"
+ */
+export const layerListCsv = (layers, plane) =>
+  ['layer,plane,position_mm,thickness_mm', ...layers.map((l, i) => `${i + 1},${plane},${l.value.toFixed(3)},${l.thickness}`)].join('\n');
+
+/**
+ * SVG of one nested sheet. Cut and engrave geometry go into separate
+ * colour-coded groups: red = cut, blue = engrave / score, which LightBurn
+ * and Glowforge map onto layers.
+ */
+export function sheetSvg(sheet) {
+  // SVG Y axis points down, so flip every contour about the sheet height
+  const points = (path) => {
+    const pts = [];
+    for (let i = 0; i < path.length; i += 2) pts.push(`${path[i].toFixed(3)} ${(sheet.height - path[i + 1]).toFixed(3)}`);
+    return `M ${pts.join(' L ')}`;
+  };
+  // One compound even-odd path per part, so holes stay holes in any viewer
+  const cut = sheet.placements
+    .map(({ shape, sliceIndex, shapeIndex }) => `    <path id="slice-${sliceIndex + 1}-${shapeIndex + 1}" d="${[shape.outer, ...shape.holes].map((p) => `${points(p)} Z`).join(' ')}"/>`)
+    .join('\n');
+  const engrave = sheet.placements
+    .filter(({ shape }) => shape.engrave.length)
+    .map(({ shape, sliceIndex, shapeIndex }) => `    <path id="label-${sliceIndex + 1}-${shapeIndex + 1}" d="${shape.engrave.map(points).join(' ')}"/>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${sheet.width}mm" height="${sheet.height}mm"
+     viewBox="0 0 ${sheet.width} ${sheet.height}" data-thickness-mm="${sheet.thickness}">
+  <g id="engrave" stroke="#0000ff" stroke-width="0.2" fill="none">
+${engrave}
+  </g>
+  <g id="cut" stroke="#ff0000" stroke-width="0.2" fill="none" fill-rule="evenodd">
+${cut}
+  </g>
+</svg>`;
+}
+
+/**
+ * R12 DXF of one nested sheet, in mm. Every slice gets a red outline layer, a
+ * yellow layer for its holes and a blue engrave layer (SLICE_03,
+ * SLICE_03_HOLES, SLICE_03_ENGRAVE), so laser software can cut inner features
+ * before outer ones. Entities follow the same order: engraving, then holes
+ * (round ones as CIRCLEs), then outlines, so parts are still held by the
+ * sheet while their insides cut.
+ */
+export function sheetDxf(sheet) {
+  const layerOf = (p) => `SLICE_${String(p.sliceIndex + 1).padStart(2, '0')}`;
+  const layers = sheet.placements.flatMap((p) => [
+    { name: layerOf(p), color: DXF_COLORS.RED },
+    ...(p.shape.holes.length ? [{ name: `${layerOf(p)}_HOLES`, color: DXF_COLORS.YELLOW }] : []),
+    ...(p.shape.engrave.length ? [{ name: `${layerOf(p)}_ENGRAVE`, color: DXF_COLORS.BLUE }] : []),
+  ]);
+  const hole = (layer, path) => {
+    const circle = fitCircle(path);
+    return circle ? { type: 'circle', layer, ...circle } : { type: 'polyline', layer, path, closed: true };
+  };
+  const entities = [
+    ...sheet.placements.flatMap((p) => p.shape.engrave.map((path) => ({ type: 'polyline', layer: `${layerOf(p)}_ENGRAVE`, path, closed: false }))),
+    ...sheet.placements.flatMap((p) => p.shape.holes.map((path) => hole(`${layerOf(p)}_HOLES`, path))),
+    ...sheet.placements.map((p) => ({ type: 'polyline', layer: layerOf(p), path: p.shape.outer, closed: true })),
+  ];
+  return writeDxf(layers, entities);
+}
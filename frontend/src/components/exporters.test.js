@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { parseMesh } from './meshImport.js';
+import { indexMesh, boundsOf, sliceAll } from './slicer.js';
+import { nestSlices, sheetSvg, sheetDxf } from './exporters.js';
+
+// Golden files are rewritten rather than compared with UPDATE_GOLDEN=1 npm test
+const FIXTURES = path.join(__dirname, '__fixtures__');
+
+const readMesh = (fileName) => {
+  const bytes = readFileSync(path.join(FIXTURES, fileName));
+  const { geometry } = parseMesh(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), fileName);
+  return indexMesh(geometry.attributes.position.array, geometry.index ? geometry.index.array : null);
+};
+
+const expectGolden = (fileName, text) => {
+  const target = path.join(FIXTURES, fileName);
+  if (process.env.UPDATE_GOLDEN) writeFileSync(target, text);
+  expect(text).toBe(readFileSync(target, 'utf8'));
+};
+
+// The viewer's defaults for a plain labelled stack, at model scale
+const PAYLOAD = {
+  currentSlice: null,
+  sliceHeight: 4,
+  slicingPlane: 'Z',
+  planeNormal: null,
+  scaleX: 1,
+  scaleY: 1,
+  scaleZ: 1,
+  kerf: 0.15,
+  mode: 'stack',
+  cutouts: 3,
+  finCount: 12,
+  hubCount: 2,
+  hubDiameter: 40,
+  spineDiameter: 0,
+  dowelCount: 0,
+  dowelDiameter: 6,
+  dowelPoints: [],
+  glueGuides: false,
+  layerMode: 'uniform',
+  labels: true,
+  modelName: 'RING',
+};
+
+describe('slicing to SVG sheets', () => {
+  it('cuts a square ring into labelled layers with holes', async () => {
+    const mesh = readMesh('ring.stl');
+    const { slices } = await sliceAll(mesh, boundsOf(mesh.positions), PAYLOAD);
+    const { sheets, unplaced } = nestSlices(slices, { sheetWidth: 200, sheetHeight: 200, spacing: 5, allowRotation: true });
+
+    expect(unplaced).toHaveLength(0);
+    expect(sheets).toHaveLength(1);
+    expectGolden('ring-sheet-1.svg', sheetSvg(sheets[0]));
+  });
+});
+
+const rect = (w, h) => ({ outer: [0, 0, w, 0, w, h, 0, h], holes: [], engrave: [] });
+
+describe('nestSlices', () => {
+  const SHEET = { sheetWidth: 100, sheetHeight: 100, spacing: 0, allowRotation: true };
+
+  it('puts parts of each thickness on sheets of their own, thinnest first', () => {
+    const slices = [
+      { thickness: 6, shapes: [rect(30, 30)] },
+      { thickness: 3, shapes: [rect(30, 30), rect(20, 20)] },
+      { thickness: 6, shapes: [rect(30, 30)] },
+    ];
+    const { sheets, unplaced } = nestSlices(slices, SHEET);
+
+    expect(unplaced).toEqual([]);
+    expect(sheets.map((s) => s.thickness)).toEqual([3, 6]);
+    expect(sheets[0].placements.map((p) => [p.sliceIndex, p.shapeIndex])).toEqual([[1, 0], [1, 1]]);
+    expect(sheets[1].placements.map((p) => p.sliceIndex).sort()).toEqual([0, 2]);
+    sheets.forEach((sheet) => sheet.placements.forEach((p) => expect(p.thickness).toBe(sheet.thickness)));
+  });
+
+  it('leaves out parts no sheet can hold and nests the rest', () => {
+    const slices = [{ thickness: 3, shapes: [rect(150, 20), rect(40, 40)] }];
+    const { sheets, unplaced } = nestSlices(slices, SHEET);
+
+    expect(unplaced.map((p) => [p.sliceIndex, p.shapeIndex])).toEqual([[0, 0]]);
+    expect(sheets).toHaveLength(1);
+    expect(sheets[0].placements).toHaveLength(1);
+  });
+
+  it('skips slices without closed shapes', () => {
+    const { sheets, unplaced } = nestSlices([{ thickness: 3, shapes: [], openPaths: [[0, 0, 10, 0]] }], SHEET);
+    expect(sheets).toEqual([]);
+    expect(unplaced).toEqual([]);
+  });
+});
+
+describe('sheetDxf', () => {
+  const round = Array.from({ length: 40 }, (_, i) => [20 + 3 * Math.cos((i / 40) * 2 * Math.PI), 10 + 3 * Math.sin((i / 40) * 2 * Math.PI)]).flat();
+  const square = [5, 5, 5, 9, 9, 9, 9, 5];
+  const sheet = {
+    width: 100,
+    height: 100,
+    thickness: 3,
+    placements: [
+      { sliceIndex: 2, shapeIndex: 0, shape: { outer: [0, 0, 40, 0, 40, 20, 0, 20], holes: [round, square], engrave: [[30, 5, 35, 5]] } },
+      { sliceIndex: 3, shapeIndex: 0, shape: rect(10, 10) },
+    ],
+  };
+  const dxf = sheetDxf(sheet);
+  // Type and layer of every entity, in file order
+  const lines = dxf.split('\n');
+  const entities = [];
+  const body = lines.indexOf('ENTITIES');
+  for (let i = body + 1; i + 3 < lines.length; i += 2) {
+    if (lines[i] === '0' && ['POLYLINE', 'CIRCLE'].includes(lines[i + 1])) entities.push(`${lines[i + 1]} ${lines[i + 3]}`);
+  }
+
+  it('gives every slice an outline, a holes and an engrave layer as needed', () => {
+    const layers = lines.flatMap((l, i) => (l === 'LAYER' && lines[i - 1] === '0' ? [`${lines[i + 2]} ${lines[i + 6]}`] : []));
+    expect(layers).toEqual(['SLICE_03 1', 'SLICE_03_HOLES 2', 'SLICE_03_ENGRAVE 5', 'SLICE_04 1']);
+  });
+
+  it('cuts engraving first, then holes with round ones as circles, then outlines', () => {
+    expect(entities).toEqual([
+      'POLYLINE SLICE_03_ENGRAVE',
+      'CIRCLE SLICE_03_HOLES',
+      'POLYLINE SLICE_03_HOLES',
+      'POLYLINE SLICE_03',
+      'POLYLINE SLICE_04',
+    ]);
+  });
+});
@@ -0,0 +1,207 @@
+/* ----------------------------------------------------------
+   GRBL G-code for nested sheets: laser (M4 dynamic power) or
+   CNC router (multi-pass with tool-radius compensation)
+---------------------------------------------------------- */
+import ClipperLib from 'js-clipper';
+import { pathLength } from './pathUtils.js';
+
+const CL_SCALE = 10_000;
+const ARC_TOLERANCE = 0.01; // mm
+
+export const GCODE_DEFAULTS = {
+  machine: 'laser',
+  laser: {
+    cut: { power: 100, speed: 300, passes: 1 },      // % of max power, mm/min
+    engrave: { power: 20, speed: 1500, passes: 1 },
+    maxPower: 1000,      // S value at 100 %, GRBL $30
+    rapid: 3000,         // mm/min, only used for the time estimate
+  },
+  cnc: {
+    cut: { feed: 800, depthPerPass: 1.5 },           // mm/min, mm
+    engrave: { feed: 800, depth: 0.3 },
+    toolDiameter: 3.175,
+    breakthrough: 0.2,   // mm cut below the sheet so parts drop free
+    plunge: 200,         // mm/min
+    safeZ: 5,            // mm above the sheet for travel
+    spindle: 12000,      // rpm
+    rapid: 2000,
+  },
+};
+
+const fmt = (v) => (Math.abs(v) < 5e-4 ? 0 : v).toFixed(3).replace(/\.?0+$/, '');
+const dist = (ax, ay, bx, by) => Math.hypot(bx - ax, by - ay);
+
+/* ----------------------------------------------------------
+   1.  Tool-radius compensation (CNC)
+---------------------------------------------------------- */
+// Grows each part by the tool radius: outlines move out, holes shrink.
+// Holes narrower than the tool disappear and are reported as skipped.
+function compensate(shape, radius) {
+  const toInt = (path) => {
+    const out = [];
+    for (let i = 0; i < path.length; i += 2) out.push({ X: Math.round(path[i] * CL_SCALE), Y: Math.round(path[i + 1] * CL_SCALE) });
+    return out;
+  };
+  const toFlat = (path) => path.flatMap((p) => [p.X / CL_SCALE, p.Y / CL_SCALE]);
+
+  const offset = new ClipperLib.ClipperOffset(2, ARC_TOLERANCE * CL_SCALE);
+  offset.AddPaths([shape.outer, ...shape.holes].map(toInt), ClipperLib.JoinType.jtRound, ClipperLib.EndType.etClosedPolygon);
+  const out = [];
+  offset.Execute(out, radius * CL_SCALE);
+  const outers = out.filter((p) => ClipperLib.Clipper.Orientation(p)).map(toFlat);
+  const holes = out.filter((p) => !ClipperLib.Clipper.Orientation(p)).map(toFlat);
+  return { outers, holes, skipped: Math.max(0, shape.holes.length - holes.length) };
+}
+
+/* ----------------------------------------------------------
+   2.  Operation ordering
+---------------------------------------------------------- */
+// Starts a closed path at its vertex nearest to (x, y)
+function rotateToNearest(path, x, y) {
+  let best = 0;
+  for (let i = 2; i < path.length; i += 2) {
+    if (dist(x, y, path[i], path[i + 1]) < dist(x, y, path[best], path[best + 1])) best = i;
+  }
+  return [...path.slice(best), ...path.slice(0, best)];
+}
+
+// Index of the path that can be entered closest to (x, y): any vertex of a
+// closed path, only the start of an open one
+function nearestPath(paths, closed, x, y) {
+  let bestIdx = 0;
+  let bestD = Infinity;
+  paths.forEach((p, i) => {
+    const d = closed
+      ? Math.min(...Array.from({ length: p.length / 2 }, (_, k) => dist(x, y, p[2 * k], p[2 * k + 1])))
+      : dist(x, y, p[0], p[1]);
+    if (d < bestD) {
+      bestD = d;
+      bestIdx = i;
+    }
+  });
+  return bestIdx;
+}
+
+// Greedy nearest-neighbour ordering within one operation group
+function orderPaths(paths, closed, start) {
+  const left = [...paths];
+  const out = [];
+  let [x, y] = start;
+  while (left.length) {
+    const [next] = left.splice(nearestPath(left, closed, x, y), 1);
+    const path = closed ? rotateToNearest(next, x, y) : next;
+    out.push(path);
+    [x, y] = closed ? [path[0], path[1]] : [path[path.length - 2], path[path.length - 1]];
+  }
+  return out;
+}
+
+/**
+ * Orders a sheet's geometry into operations: engraving, then holes, then
+ * outlines, so parts stay held by the sheet until their last cut.
+ * Nested parts already carry the slicing kerf (half of it on each side), so
+ * a router only offsets by what the tool radius adds beyond that.
+ * @param {object} sheet  nested sheet with placements[].shape
+ * @param {object} params  GCODE_DEFAULTS-shaped settings
+ * @param {number} [kerf]  kerf in mm the slices were compensated for
+ * @returns {{ ops: { kind: string, path: number[], closed: boolean }[], skipped: number }}
+ */
+export function planToolpaths(sheet, params, kerf = 0) {
+  const shapes = sheet.placements.map((p) => p.shape);
+  let holes = shapes.flatMap((s) => s.holes);
+  let outers = shapes.map((s) => s.outer);
+  let skipped = 0;
+  if (params.machine === 'cnc') {
+    const comp = shapes.map((s) => compensate(s, params.cnc.toolDiameter / 2 - kerf / 2));
+    holes = comp.flatMap((c) => c.holes);
+    outers = comp.flatMap((c) => c.outers);
+    skipped = comp.reduce((n, c) => n + c.skipped, 0);
+  }
+
+  const ops = [];
+  let pos = [0, 0];
+  [
+    ['engrave', shapes.flatMap((s) => s.engrave), false],
+    ['hole', holes, true],
+    ['outline', outers, true],
+  ].forEach(([kind, paths, closed]) => {
+    orderPaths(paths.filter((p) => p.length >= 4), closed, pos).forEach((path) => {
+      ops.push({ kind, path, closed });
+      pos = closed ? [path[0], path[1]] : [path[path.length - 2], path[path.length - 1]];
+    });
+  });
+  return { ops, skipped };
+}
+
+/* ----------------------------------------------------------
+   3.  G-code emission & time estimate
+---------------------------------------------------------- */
+/**
+ * Emits GRBL G-code for planned operations and estimates the run time.
+ * Laser jobs assume laser mode ($32=1) so G0 moves never fire the beam.
+ * @param {{ kind: string, path: number[], closed: boolean }[]} ops
+ * @param {object} params  GCODE_DEFAULTS-shaped settings
+ * @param {number} thickness  sheet thickness in mm (CNC cut depth)
+ * @param {string} [title]
+ * @returns {{ gcode: string, rapids: number[][], seconds: number, cutLength: number }}
+ */
+export function generateGcode(ops, params, thickness, title = '') {
+  const cnc = params.machine === 'cnc';
+  const m = cnc ? params.cnc : params.laser;
+  const lines = [`; ${title || 'slice sheet'} - ${cnc ? 'CNC' : 'laser'}, ${thickness} mm`, 'G21 ; millimetres', 'G90 ; absolute'];
+  const rapids = [];
+  let seconds = 0;
+  let cutLength = 0;
+  let pos = [0, 0];
+
+  const travel = (x, y) => {
+    rapids.push([pos[0], pos[1], x, y]);
+    seconds += (dist(pos[0], pos[1], x, y) / m.rapid) * 60;
+    lines.push(`G0 X${fmt(x)} Y${fmt(y)}`);
+    pos = [x, y];
+  };
+  // One trip around (or along) the path at `feed`; the first G1 carries the modal words
+  const trace = (path, closed, feed, words) => {
+    for (let i = 2; i < path.length; i += 2) lines.push(`G1 X${fmt(path[i])} Y${fmt(path[i + 1])}${i === 2 ? ` ${words}F${fmt(feed)}` : ''}`);
+    if (closed) lines.push(`G1 X${fmt(path[0])} Y${fmt(path[1])}`);
+    const len = pathLength(path, closed);
+    cutLength += len;
+    seconds += (len / feed) * 60;
+    pos = closed ? [path[0], path[1]] : [path[path.length - 2], path[path.length - 1]];
+  };
+
+  if (cnc) {
+    const depth = thickness + m.breakthrough;
+    lines.push(`M3 S${m.spindle}`, `G0 Z${fmt(m.safeZ)}`);
+    ops.forEach(({ kind, path, closed }) => {
+      const engrave = kind === 'engrave';
+      const passes = engrave ? [m.engrave.depth] : Array.from({ length: Math.ceil(depth / m.cut.depthPerPass) }, (_, i) => Math.min(depth, (i + 1) * m.cut.depthPerPass));
+      lines.push(`; ${kind}`);
+      travel(path[0], path[1]);
+      passes.forEach((z, i) => {
+        // Closed paths end where they started, so each deeper pass plunges in place
+        lines.push(`G1 Z${fmt(-z)} F${fmt(m.plunge)}`);
+        seconds += ((z - (i ? passes[i - 1] : -m.safeZ)) / m.plunge) * 60;
+        trace(path, closed, engrave ? m.engrave.feed : m.cut.feed, '');
+      });
+      lines.push(`G0 Z${fmt(m.safeZ)}`);
+      seconds += ((m.safeZ + passes[passes.length - 1]) / m.rapid) * 60;
+    });
+    lines.push('M5');
+  } else {
+    lines.push('M5', 'M4 S0 ; dynamic laser power');
+    ops.forEach(({ kind, path, closed }) => {
+      const op = kind === 'engrave' ? m.engrave : m.cut;
+      const s = Math.round((op.power / 100) * m.maxPower);
+      lines.push(`; ${kind}`);
+      for (let pass = 0; pass < op.passes; pass++) {
+        travel(path[0], path[1]);
+        trace(path, closed, op.speed, `S${s} `);
+      }
+    });
+    lines.push('M5');
+  }
+  travel(0, 0);
+  lines.push('M2');
+  return { gcode: `${lines.join('\n')}\n`, rapids, seconds, cutLength };
+}
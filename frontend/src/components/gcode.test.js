@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+import { planToolpaths, generateGcode, GCODE_DEFAULTS } from './gcode.js';
+import { pathBounds } from './pathUtils.js';
+
+const square = (x, y, size) => [x, y, x + size, y, x + size, y + size, x, y + size];
+// Holes wind clockwise, against their outline, as the slicer emits them
+const hole = (x, y, size) => [x, y, x, y + size, x + size, y + size, x + size, y];
+const CNC = { ...GCODE_DEFAULTS, machine: 'cnc' };
+const LASER = GCODE_DEFAULTS;
+
+// Bounds rounded to 1/1000 mm, as [minX, minY, maxX, maxY]
+const extent = (path) => {
+  const b = pathBounds([path]);
+  return [b.minX, b.minY, b.maxX, b.maxY].map((v) => Math.round(v * 1000) / 1000);
+};
+
+const sheetOf = (...shapes) => ({ placements: shapes.map((shape) => ({ shape: { holes: [], engrave: [], ...shape } })) });
+
+describe('planToolpaths', () => {
+  // 40 mm part with a 20 mm hole, 10 mm from the origin
+  const framed = sheetOf({ outer: square(10, 10, 40), holes: [hole(20, 20, 20)] });
+
+  it('follows the part outline exactly on a laser', () => {
+    const { ops, skipped } = planToolpaths(framed, LASER, 0.2);
+    expect(skipped).toBe(0);
+    expect(ops.map((op) => [op.kind, extent(op.path)])).toEqual([
+      ['hole', [20, 20, 40, 40]],
+      ['outline', [10, 10, 50, 50]],
+    ]);
+  });
+
+  it('offsets a router by the tool radius less the kerf the slices already carry', () => {
+    const params = { ...CNC, cnc: { ...CNC.cnc, toolDiameter: 3 } };
+    // 1.5 mm tool radius, 0.1 mm of it already in the part: 1.4 mm further out
+    const { ops } = planToolpaths(framed, params, 0.2);
+    expect(ops.map((op) => [op.kind, extent(op.path)])).toEqual([
+      ['hole', [21.4, 21.4, 38.6, 38.6]],
+      ['outline', [8.6, 8.6, 51.4, 51.4]],
+    ]);
+    // Without a kerf the whole tool radius is added
+    expect(extent(planToolpaths(framed, params, 0).ops[1].path)).toEqual([8.5, 8.5, 51.5, 51.5]);
+  });
+
+  it('skips holes the tool cannot enter', () => {
+    const sheet = sheetOf({ outer: square(0, 0, 40), holes: [hole(5, 5, 2), hole(20, 20, 10)] });
+    const { ops, skipped } = planToolpaths(sheet, CNC);
+    expect(skipped).toBe(1);
+    expect(ops.filter((op) => op.kind === 'hole')).toHaveLength(1);
+  });
+
+  it('engraves, then cuts holes, then outlines, each group nearest first', () => {
+    const sheet = sheetOf(
+      { outer: square(100, 0, 20), holes: [hole(105, 5, 5)], engrave: [[112, 15, 118, 15]] },
+      { outer: square(0, 0, 20), holes: [hole(5, 5, 5)], engrave: [[2, 15, 8, 15]] }
+    );
+    const { ops } = planToolpaths(sheet, LASER);
+
+    expect(ops.map((op) => `${op.kind} ${extent(op.path)[0]}`)).toEqual([
+      'engrave 2', 'engrave 112',
+      'hole 105', 'hole 5',
+      'outline 0', 'outline 100',
+    ]);
+    // Closed paths start at their vertex nearest the previous cut
+    expect(ops[4].path.slice(0, 2)).toEqual([0, 0]);
+    expect(ops.every((op) => op.closed === (op.kind !== 'engrave'))).toBe(true);
+  });
+});
+
+describe('generateGcode', () => {
+  const ops = [
+    { kind: 'engrave', path: [0, 0, 10, 0], closed: false },
+    { kind: 'outline', path: square(0, 0, 10), closed: true },
+  ];
+
+  it('runs a laser in dynamic power mode with the cut and engrave settings', () => {
+    const { gcode, cutLength, seconds } = generateGcode(ops, LASER, 3, 'part');
+    const lines = gcode.trim().split('\n');
+
+    expect(lines.slice(0, 5)).toEqual(['; part - laser, 3 mm', 'G21 ; millimetres', 'G90 ; absolute', 'M5', 'M4 S0 ; dynamic laser power']);
+    // 20 % and 100 % of $30 = 1000
+    expect(lines).toContain('G1 X10 Y0 S200 F1500');
+    expect(lines).toContain('G1 X10 Y0 S1000 F300');
+    expect(lines.slice(-3)).toEqual(['M5', 'G0 X0 Y0', 'M2']);
+    expect(cutLength).toBeCloseTo(50, 6);
+    expect(seconds).toBeGreaterThan((40 / 300) * 60);
+  });
+
+  it('repeats laser passes', () => {
+    const params = { ...LASER, laser: { ...LASER.laser, cut: { ...LASER.laser.cut, passes: 3 } } };
+    const { gcode, cutLength } = generateGcode(ops, params, 3);
+    expect(gcode.match(/S1000 F300/g)).toHaveLength(3);
+    expect(cutLength).toBeCloseTo(10 + 3 * 40, 6);
+  });
+
+  it('plunges a router in passes through the sheet and a little below', () => {
+    const { gcode } = generateGcode(ops, CNC, 3, 'part');
+    const lines = gcode.trim().split('\n');
+
+    expect(lines.slice(0, 5)).toEqual(['; part - CNC, 3 mm', 'G21 ; millimetres', 'G90 ; absolute', 'M3 S12000', 'G0 Z5']);
+    // 3.2 mm at 1.5 mm per pass
+    expect(lines.filter((l) => l.startsWith('G1 Z'))).toEqual(['G1 Z-0.3 F200', 'G1 Z-1.5 F200', 'G1 Z-3 F200', 'G1 Z-3.2 F200']);
+    expect(lines).toContain('G1 X10 Y0 F800');
+    expect(lines.slice(-4)).toEqual(['G0 Z5', 'M5', 'G0 X0 Y0', 'M2']);
+  });
+
+  it('records every rapid move for the preview', () => {
+    const { rapids } = generateGcode(ops, LASER, 3);
+    expect(rapids).toEqual([[0, 0, 0, 0], [10, 0, 0, 0], [0, 0, 0, 0]]);
+  });
+});
@@ -0,0 +1,115 @@
+/* ----------------------------------------------------------
+   Material presets: the stock a model is cut from. A preset
+   names the sheet thicknesses on hand, the sheet size, the kerf
+   of the machine cutting it and the box a newly loaded model is
+   scaled to fit. The library is kept in localStorage and moves
+   between machines as JSON.
+---------------------------------------------------------- */
+
+const STORAGE_KEY = 'slicr.materials';
+const FORMAT = 'slicr-materials';
+const VERSION = 1;
+
+export const DEFAULT_MATERIALS = [
+  { name: 'Birch plywood', thicknesses: [3, 4, 6, 9, 12], sheet: { width: 600, height: 400 }, kerf: 0.15, fitBox: { width: 200, height: 200, depth: 300 } },
+  { name: 'MDF', thicknesses: [3, 4, 6, 9, 12, 18], sheet: { width: 600, height: 400 }, kerf: 0.2, fitBox: { width: 200, height: 200, depth: 300 } },
+  { name: 'Acrylic', thicknesses: [2, 3, 4, 5, 6, 8, 10], sheet: { width: 600, height: 400 }, kerf: 0.1, fitBox: { width: 150, height: 150, depth: 200 } },
+  { name: 'Cardboard', thicknesses: [1.5, 3, 4, 5, 7], sheet: { width: 1000, height: 700 }, kerf: 0.3, fitBox: { width: 300, height: 300, depth: 400 } },
+  { name: 'Foam board', thicknesses: [3, 5, 10], sheet: { width: 700, height: 500 }, kerf: 0.5, fitBox: { width: 300, height: 300, depth: 400 } },
+];
+
+const positive = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+
+/**
+ * Checks one preset and returns a clean copy: thicknesses sorted and
+ * de-duplicated, unknown keys dropped. Throws an Error naming the preset and
+ * the offending field when it can't be used.
+ */
+export function normalizeMaterial(raw) {
+  const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+  if (!name) throw new Error('A material preset has no name');
+  const fail = (what) => {
+    throw new Error(`Material "${name}": ${what}`);
+  };
+  if (!Array.isArray(raw.thicknesses) || !raw.thicknesses.length || !raw.thicknesses.every(positive)) {
+    fail('thicknesses must be a list of positive sizes in mm');
+  }
+  if (!positive(raw.sheet?.width) || !positive(raw.sheet?.height)) fail('the sheet needs a positive width and height in mm');
+  if (typeof raw.kerf !== 'number' || !(raw.kerf >= 0)) fail('kerf must be zero or more');
+  const { width, height, depth } = raw.fitBox || {};
+  if (![width, height, depth].every(positive)) fail('the fit box needs a positive width, height and depth in mm');
+  return {
+    name,
+    thicknesses: [...new Set(raw.thicknesses)].sort((a, b) => a - b),
+    sheet: { width: raw.sheet.width, height: raw.sheet.height },
+    kerf: raw.kerf,
+    fitBox: { width, height, depth },
+  };
+}
+
+// Later presets replace earlier ones of the same name, keeping their place
+const mergeByName = (presets, added) => {
+  const byName = new Map(presets.map((p) => [p.name, p]));
+  added.forEach((p) => byName.set(p.name, p));
+  return [...byName.values()];
+};
+
+/**
+ * The saved library, or the built-in presets when nothing usable is stored.
+ * @returns {{ active: string, presets: object[] }}
+ */
+export function loadMaterials() {
+  const fallback = { active: DEFAULT_MATERIALS[0].name, presets: DEFAULT_MATERIALS };
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored) return fallback;
+    const presets = mergeByName([], stored.presets.map(normalizeMaterial));
+    if (!presets.length) return fallback;
+    return { active: presets.some((p) => p.name === stored.active) ? stored.active : presets[0].name, presets };
+  } catch (err) {
+    console.warn('Saved material presets are unusable, using the built-in ones:', err);
+    return fallback;
+  }
+}
+
+export const saveMaterials = (library) => localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+
+export const activeMaterial = (library) => library.presets.find((p) => p.name === library.active) || library.presets[0];
+
+export const writeMaterials = (presets) => JSON.stringify({ format: FORMAT, version: VERSION, presets }, null, 2);
+
+/**
+ * Reads presets exported by writeMaterials. Throws an Error with a readable
+ * message when the text isn't a material library this version understands.
+ * @param {string} text
+ * @returns {object[]}
+ */
+export function readMaterials(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a material library: ${err.message}`);
+  }
+  if (data?.format !== FORMAT || !Array.isArray(data.presets)) throw new Error('Not a material library');
+  if (data.version > VERSION) throw new Error(`Material library version ${data.version} is newer than this app supports`);
+  return mergeByName([], data.presets.map(normalizeMaterial));
+}
+
+/**
+ * Adds imported presets to a library, replacing any of the same name.
+ * @returns {{ active: string, presets: object[] }}
+ */
+export const importMaterials = (library, imported) => ({ ...library, presets: mergeByName(library.presets, imported) });
+
+/**
+ * Uniform scale putting a model of the given size inside the preset's fit box.
+ * @param {{ x: number, y: number, z: number }} size  Model extent in model units
+ * @param {{ width: number, height: number, depth: number }} fitBox  mm
+ */
+export const fitScale = (size, { width, height, depth }) =>
+  Math.min(...[[width, size.x], [height, size.y], [depth, size.z]].map(([limit, extent]) => (extent > 0 ? limit / extent : Infinity)));
+
+/** The thickness on offer closest to the one asked for */
+export const nearestThickness = (thicknesses, value) =>
+  thicknesses.reduce((best, t) => (Math.abs(t - value) < Math.abs(best - value) ? t : best), thicknesses[0]);
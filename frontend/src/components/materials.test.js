@@ -0,0 +1,130 @@
+// jsdom supplies the localStorage the library is kept in
+import {
+  DEFAULT_MATERIALS,
+  normalizeMaterial,
+  loadMaterials,
+  saveMaterials,
+  activeMaterial,
+  writeMaterials,
+  readMaterials,
+  importMaterials,
+  fitScale,
+  nearestThickness,
+} from './materials.js';
+
+const PLY = { name: 'Ply', thicknesses: [6, 3, 6, 4], sheet: { width: 600, height: 400 }, kerf: 0.15, fitBox: { width: 200, height: 200, depth: 300 } };
+
+describe('normalizeMaterial', () => {
+  it('sorts and de-duplicates thicknesses, trims the name and drops unknown keys', () => {
+    expect(normalizeMaterial({ ...PLY, name: '  Ply  ', colour: 'birch', sheet: { ...PLY.sheet, grain: 'x' } })).toEqual({
+      ...PLY,
+      thicknesses: [3, 4, 6],
+    });
+  });
+
+  it('accepts a zero kerf', () => {
+    expect(normalizeMaterial({ ...PLY, kerf: 0 }).kerf).toBe(0);
+  });
+
+  it.each([
+    [{ ...PLY, name: '   ' }, 'A material preset has no name'],
+    [{ ...PLY, thicknesses: [] }, 'Material "Ply": thicknesses must be a list of positive sizes in mm'],
+    [{ ...PLY, thicknesses: [3, -1] }, 'Material "Ply": thicknesses must be a list of positive sizes in mm'],
+    [{ ...PLY, thicknesses: [3, '6'] }, 'Material "Ply": thicknesses must be a list of positive sizes in mm'],
+    [{ ...PLY, sheet: { width: 600 } }, 'Material "Ply": the sheet needs a positive width and height in mm'],
+    [{ ...PLY, kerf: -0.1 }, 'Material "Ply": kerf must be zero or more'],
+    [{ ...PLY, kerf: NaN }, 'Material "Ply": kerf must be zero or more'],
+    [{ ...PLY, fitBox: { width: 200, height: 200, depth: 0 } }, 'Material "Ply": the fit box needs a positive width, height and depth in mm'],
+  ])('rejects an unusable preset (%#)', (raw, message) => {
+    expect(() => normalizeMaterial(raw)).toThrow(message);
+  });
+});
+
+describe('material libraries as JSON', () => {
+  it('read back what was written', () => {
+    expect(readMaterials(writeMaterials(DEFAULT_MATERIALS))).toEqual(DEFAULT_MATERIALS);
+  });
+
+  it('normalize what they read, the last preset of a name winning', () => {
+    const text = writeMaterials([PLY, { ...DEFAULT_MATERIALS[1] }, { ...PLY, kerf: 0.2 }]);
+    expect(readMaterials(text)).toEqual([{ ...PLY, thicknesses: [3, 4, 6], kerf: 0.2 }, DEFAULT_MATERIALS[1]]);
+  });
+
+  it('refuse anything that is not a library this version reads', () => {
+    expect(() => readMaterials('{ nope')).toThrow(/^Not a material library: /);
+    expect(() => readMaterials(JSON.stringify({ presets: [] }))).toThrow('Not a material library');
+    expect(() => readMaterials(JSON.stringify({ format: 'slicr-materials', version: 1 }))).toThrow('Not a material library');
+    expect(() => readMaterials(JSON.stringify({ format: 'slicr-materials', version: 2, presets: [] }))).toThrow(
+      'Material library version 2 is newer than this app supports'
+    );
+    expect(() => readMaterials(writeMaterials([{ ...PLY, kerf: -1 }]))).toThrow('Material "Ply": kerf must be zero or more');
+  });
+});
+
+describe('importMaterials', () => {
+  it('replaces presets of the same name where they stand and adds the rest', () => {
+    const library = { active: 'MDF', presets: DEFAULT_MATERIALS.slice(0, 3) };
+    const mdf = { ...DEFAULT_MATERIALS[1], kerf: 0.25 };
+    const next = importMaterials(library, [mdf, PLY]);
+
+    expect(next.active).toBe('MDF');
+    expect(next.presets.map((p) => p.name)).toEqual(['Birch plywood', 'MDF', 'Acrylic', 'Ply']);
+    expect(next.presets[1]).toBe(mdf);
+    expect(activeMaterial(next).kerf).toBe(0.25);
+    expect(library.presets[1]).toBe(DEFAULT_MATERIALS[1]);
+  });
+});
+
+describe('loadMaterials', () => {
+  const fallback = { active: DEFAULT_MATERIALS[0].name, presets: DEFAULT_MATERIALS };
+
+  beforeEach(() => localStorage.clear());
+
+  it('returns what was saved', () => {
+    const library = { active: 'Ply', presets: [DEFAULT_MATERIALS[0], normalizeMaterial(PLY)] };
+    saveMaterials(library);
+    expect(loadMaterials()).toEqual(library);
+  });
+
+  it('falls back to the built-in presets when nothing is saved', () => {
+    expect(loadMaterials()).toEqual(fallback);
+  });
+
+  it('activates the first preset when the saved active one is gone', () => {
+    saveMaterials({ active: 'Gone', presets: [PLY] });
+    expect(loadMaterials()).toEqual({ active: 'Ply', presets: [normalizeMaterial(PLY)] });
+  });
+
+  it('falls back, with a warning, when the saved library is unusable', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      [JSON.stringify({ active: 'Ply', presets: [{ ...PLY, sheet: null }] }), '{ nope', JSON.stringify({ active: 'x' })].forEach((stored) => {
+        localStorage.setItem('slicr.materials', stored);
+        expect(loadMaterials()).toEqual(fallback);
+      });
+      expect(warn).toHaveBeenCalledTimes(3);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('fitScale', () => {
+  it('scales uniformly until the first side meets the fit box', () => {
+    expect(fitScale({ x: 10, y: 20, z: 5 }, { width: 200, height: 200, depth: 300 })).toBe(10);
+    expect(fitScale({ x: 400, y: 100, z: 100 }, { width: 200, height: 200, depth: 300 })).toBe(0.5);
+  });
+
+  it('ignores sides a flat model does not have', () => {
+    expect(fitScale({ x: 50, y: 20, z: 0 }, { width: 200, height: 200, depth: 300 })).toBe(4);
+  });
+});
+
+describe('nearestThickness', () => {
+  it('picks the thickness on offer closest to the one asked for, the thinner on a tie', () => {
+    expect(nearestThickness([3, 6, 9], 4)).toBe(3);
+    expect(nearestThickness([3, 6, 9], 5)).toBe(6);
+    expect(nearestThickness([3, 6, 9], 7.5)).toBe(6);
+    expect(nearestThickness([3, 6, 9], 40)).toBe(9);
+  });
+});
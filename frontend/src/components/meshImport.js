@@ -0,0 +1,98 @@
+/* ----------------------------------------------------------
+   Mesh import: STL (ASCII / binary), OBJ, 3MF and PLY, detected
+   from the file contents and merged into one welded mesh
+---------------------------------------------------------- */
+import * as THREE from 'three';
+import { STLLoader, OBJLoader, ThreeMFLoader, PLYLoader, mergeVertices } from 'three-stdlib';
+
+export const MESH_EXTENSIONS = ['.stl', '.obj', '.3mf', '.ply'];
+
+const textHead = (buffer, length = 1024) => new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(length, buffer.byteLength)));
+
+/**
+ * Guesses the mesh format from the bytes, falling back to the extension
+ * only for text files that match no signature.
+ * @param {ArrayBuffer} buffer
+ * @param {string} [fileName]
+ * @returns {'stl' | 'obj' | '3mf' | 'ply' | null}
+ */
+export function detectMeshFormat(buffer, fileName = '') {
+  const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  // 3MF is a zip container: local file header "PK\3\4"
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) return '3mf';
+
+  const head = textHead(buffer);
+  if (/^ply\r?\n/.test(head)) return 'ply';
+
+  // Binary STL: 80-byte header, triangle count, 50 bytes per triangle.
+  // Checked before ASCII because many binary headers also start with "solid".
+  if (buffer.byteLength >= 84) {
+    const count = new DataView(buffer).getUint32(80, true);
+    if (84 + count * 50 === buffer.byteLength) return 'stl';
+  }
+  if (/^\s*solid\b/.test(head) && /\bfacet\b/.test(textHead(buffer, 4096))) return 'stl';
+  if (/^\s*(v|vn|vt|f|o|g|mtllib|usemtl)\s/m.test(head)) return 'obj';
+
+  const ext = fileName.toLowerCase().match(/\.(stl|obj|3mf|ply)$/);
+  return ext ? ext[1] : null;
+}
+
+// Bakes every mesh's world transform into one position-only, non-indexed geometry
+function mergeMeshes(root) {
+  const chunks = [];
+  root.updateMatrixWorld(true);
+  root.traverse((obj) => {
+    if (!obj.isMesh || !obj.geometry?.attributes.position) return;
+    const g = obj.geometry.index ? obj.geometry.toNonIndexed() : obj.geometry.clone();
+    g.applyMatrix4(obj.matrixWorld);
+    chunks.push(g.attributes.position.array);
+    g.dispose();
+  });
+  const merged = new Float32Array(chunks.reduce((n, c) => n + c.length, 0));
+  chunks.reduce((offset, c) => {
+    merged.set(c, offset);
+    return offset + c.length;
+  }, 0);
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(merged, 3));
+  return geometry;
+}
+
+/**
+ * Parses a mesh file of any supported format into one indexed BufferGeometry
+ * (coincident vertices welded) with normals and bounding box computed.
+ * Throws an Error with a readable message when the file can't be used.
+ * @param {ArrayBuffer} buffer
+ * @param {string} [fileName]
+ * @returns {{ geometry: THREE.BufferGeometry, format: string }}
+ */
+export function parseMesh(buffer, fileName = '') {
+  const format = detectMeshFormat(buffer, fileName);
+  if (!format) throw new Error(`Unrecognised file format. Supported: ${MESH_EXTENSIONS.join(', ')}`);
+
+  let geometry;
+  try {
+    if (format === 'stl') {
+      geometry = mergeMeshes(new THREE.Mesh(new STLLoader().parse(buffer)));
+    } else if (format === 'ply') {
+      const ply = new PLYLoader().parse(buffer);
+      if (!ply.index) throw new Error('the PLY file has no faces (point cloud)');
+      geometry = mergeMeshes(new THREE.Mesh(ply));
+    } else if (format === 'obj') {
+      geometry = mergeMeshes(new OBJLoader().parse(new TextDecoder().decode(buffer)));
+    } else {
+      geometry = mergeMeshes(new ThreeMFLoader().parse(buffer));
+    }
+  } catch (err) {
+    throw new Error(`Could not read ${format.toUpperCase()} file: ${err.message}`);
+  }
+
+  const positions = geometry.attributes.position.array;
+  if (positions.length < 9) throw new Error(`The ${format.toUpperCase()} file contains no triangles`);
+  if (positions.some((v) => !Number.isFinite(v))) throw new Error(`The ${format.toUpperCase()} file contains invalid coordinates`);
+  const indexed = mergeVertices(geometry);
+  geometry.dispose();
+  indexed.computeVertexNormals();
+  indexed.computeBoundingBox();
+  return { geometry: indexed, format };
+}
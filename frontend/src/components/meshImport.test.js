@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { detectMeshFormat, parseMesh } from './meshImport.js';
+
+const bufferOf = (text) => new TextEncoder().encode(text).buffer;
+
+// Binary STL of the given triangles (flat vertex triples) behind an 80-byte header
+function binaryStl(header, triangles) {
+  const view = new DataView(new ArrayBuffer(84 + triangles.length * 50));
+  new TextEncoder().encodeInto(header.slice(0, 80), new Uint8Array(view.buffer, 0, 80));
+  view.setUint32(80, triangles.length, true);
+  triangles.forEach((tri, t) => tri.forEach((v, i) => view.setFloat32(84 + t * 50 + 12 + 4 * i, v, true)));
+  return view.buffer;
+}
+
+// Unit square in the XY plane as two triangles
+const SQUARE = [
+  [0, 0, 0, 1, 0, 0, 1, 1, 0],
+  [0, 0, 0, 1, 1, 0, 0, 1, 0],
+];
+
+const RING_STL = fs.readFileSync(path.join(__dirname, '__fixtures__', 'ring.stl'));
+const OBJ = '# square\no square\nv 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\nf 1 2 3 4\n';
+const PLY = [
+  'ply', 'format ascii 1.0', 'element vertex 3',
+  'property float x', 'property float y', 'property float z',
+  'element face 1', 'property list uchar int vertex_indices', 'end_header',
+  '0 0 0', '1 0 0', '0 1 0', '3 0 1 2', '',
+].join('\n');
+
+describe('detectMeshFormat', () => {
+  it('reads a binary STL whose header starts with "solid" as binary', () => {
+    const buffer = binaryStl('solid part exported by a CAD package', SQUARE);
+    expect(detectMeshFormat(buffer, 'part.stl')).toBe('stl');
+    // The ASCII parser would find no facets and fail
+    const { geometry } = parseMesh(buffer, 'part.stl');
+    expect(geometry.index.count).toBe(6);
+  });
+
+  it('recognises ASCII STL', () => {
+    const buffer = RING_STL.buffer.slice(RING_STL.byteOffset, RING_STL.byteOffset + RING_STL.byteLength);
+    expect(detectMeshFormat(buffer)).toBe('stl');
+  });
+
+  it('recognises PLY', () => {
+    expect(detectMeshFormat(bufferOf(PLY))).toBe('ply');
+    expect(detectMeshFormat(bufferOf(PLY.replace(/\n/g, '\r\n')))).toBe('ply');
+  });
+
+  it('recognises OBJ', () => {
+    expect(detectMeshFormat(bufferOf(OBJ))).toBe('obj');
+  });
+
+  it('recognises 3MF by its zip signature, whatever the file is called', () => {
+    const zip = Uint8Array.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00, 0x00, 0x00]).buffer;
+    expect(detectMeshFormat(zip, 'model.stl')).toBe('3mf');
+  });
+
+  it('falls back to the extension only when the contents match nothing', () => {
+    const unknown = bufferOf('not a mesh\n');
+    expect(detectMeshFormat(unknown, 'Model.OBJ')).toBe('obj');
+    expect(detectMeshFormat(unknown, 'notes.txt')).toBeNull();
+    expect(detectMeshFormat(bufferOf(OBJ), 'square.stl')).toBe('obj');
+  });
+});
+
+describe('parseMesh', () => {
+  it('triangulates and welds OBJ faces', () => {
+    const { geometry, format } = parseMesh(bufferOf(OBJ));
+    expect(format).toBe('obj');
+    expect(geometry.index.count).toBe(6);
+    expect(geometry.attributes.position.count).toBe(4);
+  });
+
+  it('rejects files of no known format', () => {
+    expect(() => parseMesh(bufferOf('not a mesh\n'), 'notes.txt')).toThrow(/^Unrecognised file format/);
+  });
+});
@@ -0,0 +1,304 @@
+/* ----------------------------------------------------------
+   Mesh validation & repair for triangle meshes: welding,
+   degenerate / duplicate triangles, non-manifold and open edges,
+   inconsistent winding and small holes
+---------------------------------------------------------- */
+
+const WELD_TOLERANCE = 1e-6;   // × bounding-box diagonal
+const AREA_TOLERANCE = 1e-10;  // × diagonal², below this a triangle has no area
+export const MAX_HOLE_EDGES = 32;
+
+function diagonalOf(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i++) {
+    min[i % 3] = Math.min(min[i % 3], positions[i]);
+    max[i % 3] = Math.max(max[i % 3], positions[i]);
+  }
+  return Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+}
+
+/* ----------------------------------------------------------
+   1.  Welding & triangle clean-up
+---------------------------------------------------------- */
+// Merges vertices that fall into the same tolerance cell; triangle order is kept
+function weldVertices(positions, index, tolerance) {
+  const count = positions.length / 3;
+  const source = index || Uint32Array.from({ length: count }, (_, i) => i);
+  const cells = new Map();
+  const out = [];
+  const remap = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    const x = positions[3 * i];
+    const y = positions[3 * i + 1];
+    const z = positions[3 * i + 2];
+    const key = `${Math.round(x / tolerance)},${Math.round(y / tolerance)},${Math.round(z / tolerance)}`;
+    let id = cells.get(key);
+    if (id === undefined) {
+      id = out.length / 3;
+      cells.set(key, id);
+      out.push(x, y, z);
+    }
+    remap[i] = id;
+  }
+  return { positions: Float32Array.from(out), index: source.map((i) => remap[i]), merged: count - out.length / 3 };
+}
+
+// Twice the triangle area
+function doubleArea(p, a, b, c) {
+  const ux = p[3 * b] - p[3 * a], uy = p[3 * b + 1] - p[3 * a + 1], uz = p[3 * b + 2] - p[3 * a + 2];
+  const vx = p[3 * c] - p[3 * a], vy = p[3 * c + 1] - p[3 * a + 1], vz = p[3 * c + 2] - p[3 * a + 2];
+  return Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx);
+}
+
+// Drops zero-area triangles and repeats of the same three vertices (in any winding)
+function cleanTriangles(positions, index, minArea) {
+  const keep = [];
+  const degenerate = [];
+  const duplicate = [];
+  const seen = new Set();
+  for (let t = 0; t < index.length / 3; t++) {
+    const a = index[3 * t], b = index[3 * t + 1], c = index[3 * t + 2];
+    if (a === b || b === c || a === c || doubleArea(positions, a, b, c) <= minArea) {
+      degenerate.push(t);
+      continue;
+    }
+    const key = [a, b, c].sort((m, n) => m - n).join('_');
+    if (seen.has(key)) {
+      duplicate.push(t);
+      continue;
+    }
+    seen.add(key);
+    keep.push(a, b, c);
+  }
+  return { index: Uint32Array.from(keep), degenerate, duplicate };
+}
+
+/* ----------------------------------------------------------
+   2.  Edge topology
+---------------------------------------------------------- */
+// Every undirected edge with the triangles using it and the direction they use it in
+function edgeUses(index, vertexCount) {
+  const edges = new Map();
+  for (let t = 0; t < index.length / 3; t++) {
+    for (let k = 0; k < 3; k++) {
+      const a = index[3 * t + k];
+      const b = index[3 * t + ((k + 1) % 3)];
+      const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+      const use = { t, a, b };
+      const uses = edges.get(key);
+      if (uses) uses.push(use);
+      else edges.set(key, [use]);
+    }
+  }
+  return edges;
+}
+
+// Triangles to flip so neighbours across every manifold edge wind the same
+// way. Closed parts end up with outward normals (positive volume); open
+// ones keep whichever winding most of their triangles already had.
+function orientationFlips(positions, index, edges) {
+  const triCount = index.length / 3;
+  const adjacent = Array.from({ length: triCount }, () => []);
+  const open = new Uint8Array(triCount);
+  edges.forEach((uses) => {
+    if (uses.length === 1) open[uses[0].t] = 1;
+    if (uses.length !== 2) return;
+    const [u0, u1] = uses;
+    // Same start vertex means both triangles walk the edge the same way
+    const same = u0.a === u1.a;
+    adjacent[u0.t].push(u1.t, same);
+    adjacent[u1.t].push(u0.t, same);
+  });
+
+  const flip = new Int8Array(triCount).fill(-1);
+  for (let seed = 0; seed < triCount; seed++) {
+    if (flip[seed] !== -1) continue;
+    flip[seed] = 0;
+    const component = [seed];
+    for (let i = 0; i < component.length; i++) {
+      const t = component[i];
+      const adj = adjacent[t];
+      for (let j = 0; j < adj.length; j += 2) {
+        if (flip[adj[j]] !== -1) continue;
+        flip[adj[j]] = adj[j + 1] ? 1 - flip[t] : flip[t];
+        component.push(adj[j]);
+      }
+    }
+
+    let invert;
+    if (component.some((t) => open[t])) {
+      invert = component.filter((t) => flip[t]).length * 2 > component.length;
+    } else {
+      let volume = 0;
+      component.forEach((t) => {
+        const p = positions;
+        const a = 3 * index[3 * t];
+        const [b, c] = flip[t] ? [3 * index[3 * t + 2], 3 * index[3 * t + 1]] : [3 * index[3 * t + 1], 3 * index[3 * t + 2]];
+        volume +=
+          p[a] * (p[b + 1] * p[c + 2] - p[b + 2] * p[c + 1]) +
+          p[a + 1] * (p[b + 2] * p[c] - p[b] * p[c + 2]) +
+          p[a + 2] * (p[b] * p[c + 1] - p[b + 1] * p[c]);
+      });
+      invert = volume < 0;
+    }
+    if (invert) component.forEach((t) => (flip[t] = 1 - flip[t]));
+  }
+  return flip;
+}
+
+const applyFlips = (index, flip) => {
+  const out = Uint32Array.from(index);
+  flip.forEach((f, t) => {
+    if (f) [out[3 * t + 1], out[3 * t + 2]] = [index[3 * t + 2], index[3 * t + 1]];
+  });
+  return out;
+};
+
+// Closed loops of open edges, each listed in the direction its triangles use it
+function boundaryLoops(edges) {
+  const next = new Map();
+  edges.forEach((uses) => {
+    if (uses.length !== 1) return;
+    const { a, b } = uses[0];
+    if (next.has(a)) next.get(a).push(b);
+    else next.set(a, [b]);
+  });
+
+  const loops = [];
+  next.forEach((_, start) => {
+    while (next.get(start)?.length) {
+      const loop = [start];
+      let v = next.get(start).pop();
+      while (v !== start && next.get(v)?.length) {
+        loop.push(v);
+        v = next.get(v).pop();
+      }
+      // Chains that don't come back run into non-manifold edges and aren't holes
+      if (v === start && loop.length >= 3) loops.push(loop);
+    }
+  });
+  return loops;
+}
+
+/* ----------------------------------------------------------
+   3.  Validation report
+---------------------------------------------------------- */
+const segmentsOf = (positions, pairs) => {
+  const out = new Float32Array(pairs.length * 6);
+  pairs.forEach(([a, b], i) => {
+    out.set(positions.subarray(3 * a, 3 * a + 3), 6 * i);
+    out.set(positions.subarray(3 * b, 3 * b + 3), 6 * i + 3);
+  });
+  return out;
+};
+
+const trianglesOf = (positions, index, tris) => {
+  const out = new Float32Array(tris.length * 9);
+  tris.forEach((t, i) => {
+    for (let k = 0; k < 3; k++) out.set(positions.subarray(3 * index[3 * t + k], 3 * index[3 * t + k] + 3), 9 * i + 3 * k);
+  });
+  return out;
+};
+
+function prepare(positions, index) {
+  const diagonal = diagonalOf(positions);
+  const welded = weldVertices(positions, index, diagonal * WELD_TOLERANCE);
+  const cleaned = cleanTriangles(welded.positions, welded.index, diagonal * diagonal * AREA_TOLERANCE);
+  return { welded, cleaned, vertexCount: welded.positions.length / 3 };
+}
+
+/**
+ * Checks a mesh for problems that break slicing. Highlight arrays hold
+ * model-space coordinates: line-segment pairs for edges, vertex triples
+ * for faces.
+ * @param {Float32Array} positions
+ * @param {Uint32Array|null} index  null for a triangle soup
+ * @param {{ maxHoleEdges?: number }} [options]
+ * @returns {{ triangles: number, looseVertices: number, degenerate: number, duplicate: number,
+ *   nonManifoldEdges: number, openEdges: number, holes: number, fillableHoles: number, flipped: number,
+ *   ok: boolean, highlight: { openEdges: Float32Array, nonManifoldEdges: Float32Array, faces: Float32Array } }}
+ */
+export function analyzeMesh(positions, index, { maxHoleEdges = MAX_HOLE_EDGES } = {}) {
+  const { welded, cleaned, vertexCount } = prepare(positions, index);
+  const edges = edgeUses(cleaned.index, vertexCount);
+  const open = [];
+  const nonManifold = [];
+  edges.forEach((uses) => {
+    if (uses.length === 1) open.push([uses[0].a, uses[0].b]);
+    else if (uses.length > 2) nonManifold.push([uses[0].a, uses[0].b]);
+  });
+  const flip = orientationFlips(welded.positions, cleaned.index, edges);
+  const flipped = [];
+  flip.forEach((f, t) => f && flipped.push(t));
+  const loops = open.length ? boundaryLoops(edgeUses(applyFlips(cleaned.index, flip), vertexCount)) : [];
+
+  const report = {
+    triangles: cleaned.index.length / 3,
+    looseVertices: welded.merged,
+    degenerate: cleaned.degenerate.length,
+    duplicate: cleaned.duplicate.length,
+    nonManifoldEdges: nonManifold.length,
+    openEdges: open.length,
+    holes: loops.length,
+    fillableHoles: loops.filter((l) => l.length <= maxHoleEdges).length,
+    flipped: flipped.length,
+    highlight: {
+      openEdges: segmentsOf(welded.positions, open),
+      nonManifoldEdges: segmentsOf(welded.positions, nonManifold),
+      faces: new Float32Array([
+        ...trianglesOf(welded.positions, welded.index, [...cleaned.degenerate, ...cleaned.duplicate]),
+        ...trianglesOf(welded.positions, cleaned.index, flipped),
+      ]),
+    },
+  };
+  report.ok = !(report.looseVertices || report.degenerate || report.duplicate || report.nonManifoldEdges || report.openEdges || report.flipped);
+  return report;
+}
+
+/* ----------------------------------------------------------
+   4.  Repair
+---------------------------------------------------------- */
+/**
+ * Welds vertices, removes degenerate and duplicate triangles, unifies the
+ * winding and fills holes of up to `maxHoleEdges` edges with a fan around
+ * their centroid. Non-manifold edges are left alone.
+ * @param {Float32Array} positions
+ * @param {Uint32Array|null} index
+ * @param {{ maxHoleEdges?: number }} [options]
+ * @returns {{ positions: Float32Array, index: Uint32Array,
+ *   fixes: { merged: number, degenerate: number, duplicate: number, flipped: number, holesFilled: number, holesLeft: number } }}
+ */
+export function repairMesh(positions, index, { maxHoleEdges = MAX_HOLE_EDGES } = {}) {
+  const { welded, cleaned, vertexCount } = prepare(positions, index);
+  const flip = orientationFlips(welded.positions, cleaned.index, edgeUses(cleaned.index, vertexCount));
+  const oriented = applyFlips(cleaned.index, flip);
+  const loops = boundaryLoops(edgeUses(oriented, vertexCount));
+  const fillable = loops.filter((l) => l.length <= maxHoleEdges);
+
+  const outPositions = Array.from(welded.positions);
+  const outIndex = Array.from(oriented);
+  fillable.forEach((loop) => {
+    // The patch walks every rim edge backwards so it winds like its neighbours
+    if (loop.length === 3) {
+      outIndex.push(loop[0], loop[2], loop[1]);
+      return;
+    }
+    const centre = outPositions.length / 3;
+    for (let k = 0; k < 3; k++) outPositions.push(loop.reduce((sum, v) => sum + welded.positions[3 * v + k], 0) / loop.length);
+    loop.forEach((v, i) => outIndex.push(loop[(i + 1) % loop.length], v, centre));
+  });
+
+  return {
+    positions: Float32Array.from(outPositions),
+    index: Uint32Array.from(outIndex),
+    fixes: {
+      merged: welded.merged,
+      degenerate: cleaned.degenerate.length,
+      duplicate: cleaned.duplicate.length,
+      flipped: flip.reduce((n, f) => n + f, 0),
+      holesFilled: fillable.length,
+      holesLeft: loops.length - fillable.length,
+    },
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * @jest-environment node
+ */
+import { analyzeMesh, repairMesh } from './meshRepair.js';
+import { indexMesh } from './slicer.js';
+import { box } from './__fixtures__/meshes.js';
+
+// 10 mm cube, welded: 8 vertices and 12 triangles, the bottom face first
+const cube = () => indexMesh(box(10, 10, 10));
+
+// The mesh without the given triangles
+const without = ({ positions, index }, ...tris) => ({
+  positions,
+  index: index.filter((_, i) => !tris.includes(Math.floor(i / 3))),
+});
+
+const withTriangles = ({ positions, index }, ...tris) => ({ positions, index: Uint32Array.from([...index, ...tris.flat()]) });
+
+// The cube with its sixth triangle, or every triangle, wound the other way
+const flipOne = ({ positions, index }) => {
+  const out = Uint32Array.from(index);
+  [out[16], out[17]] = [index[17], index[16]];
+  return { positions, index: out };
+};
+const insideOut = ({ positions, index }) => ({ positions, index: index.map((_, i) => index[i - (i % 3) + [0, 2, 1][i % 3]]) });
+
+// The cube with a fin standing on the first edge of its first triangle
+const withFin = ({ positions, index }) =>
+  withTriangles({ positions: Float32Array.from([...positions, 5, -10, 5]), index }, [index[0], index[1], 8]);
+
+const analyze = (mesh, options) => analyzeMesh(mesh.positions, mesh.index, options);
+const repair = (mesh, options) => repairMesh(mesh.positions, mesh.index, options);
+
+describe('analyzeMesh', () => {
+  it('passes a closed, consistently wound mesh', () => {
+    const report = analyze(cube());
+    expect(report).toMatchObject({
+      triangles: 12,
+      looseVertices: 0,
+      degenerate: 0,
+      duplicate: 0,
+      nonManifoldEdges: 0,
+      openEdges: 0,
+      holes: 0,
+      flipped: 0,
+      ok: true,
+    });
+    expect(report.highlight.faces).toHaveLength(0);
+  });
+
+  it('counts the vertices a triangle soup repeats', () => {
+    const report = analyzeMesh(box(10, 10, 10), null);
+    // 36 corners on 8 distinct points
+    expect(report.looseVertices).toBe(28);
+    expect(report.ok).toBe(false);
+    expect(report.openEdges).toBe(0);
+  });
+
+  it('finds the open edges around a missing triangle as one hole', () => {
+    const report = analyze(without(cube(), 0));
+    expect(report).toMatchObject({ triangles: 11, openEdges: 3, holes: 1, fillableHoles: 1, flipped: 0, ok: false });
+    // Two endpoints per open edge
+    expect(report.highlight.openEdges).toHaveLength(3 * 6);
+  });
+
+  it('only counts holes small enough to fill as fillable', () => {
+    const open = without(cube(), 0, 1);
+    expect(analyze(open)).toMatchObject({ openEdges: 4, holes: 1, fillableHoles: 1 });
+    expect(analyze(open, { maxHoleEdges: 3 })).toMatchObject({ holes: 1, fillableHoles: 0 });
+  });
+
+  it('finds an edge shared by more than two triangles', () => {
+    const report = analyze(withFin(cube()));
+    expect(report.nonManifoldEdges).toBe(1);
+    expect(report.highlight.nonManifoldEdges).toHaveLength(6);
+    // The fin's own edges are open but don't close into a hole
+    expect(report).toMatchObject({ openEdges: 2, holes: 0, ok: false });
+  });
+
+  it('finds a triangle wound against its neighbours', () => {
+    const report = analyze(flipOne(cube()));
+    expect(report).toMatchObject({ flipped: 1, openEdges: 0, nonManifoldEdges: 0, ok: false });
+    // The flipped triangle is highlighted by its three corners
+    expect(report.highlight.faces).toHaveLength(9);
+  });
+
+  it('reports every triangle of an inside-out part as flipped', () => {
+    expect(analyze(insideOut(cube())).flipped).toBe(12);
+  });
+
+  it('finds degenerate and duplicate triangles', () => {
+    const mesh = cube();
+    const [a, b, c] = mesh.index;
+    const report = analyze(withTriangles(mesh, [a, c, b], [a, a, b]));
+    expect(report).toMatchObject({ triangles: 12, degenerate: 1, duplicate: 1, openEdges: 0, ok: false });
+    expect(report.highlight.faces).toHaveLength(2 * 9);
+  });
+});
+
+describe('repairMesh', () => {
+  it('welds a triangle soup into a clean mesh', () => {
+    const { positions, index, fixes } = repairMesh(box(10, 10, 10), null);
+    expect(fixes.merged).toBe(28);
+    expect(positions).toHaveLength(8 * 3);
+    expect(analyzeMesh(positions, index).ok).toBe(true);
+  });
+
+  it('fills a triangular hole with a single triangle', () => {
+    const { positions, index, fixes } = repair(without(cube(), 0));
+    expect(fixes).toMatchObject({ holesFilled: 1, holesLeft: 0, flipped: 0 });
+    expect(positions).toHaveLength(8 * 3);
+    expect(index).toHaveLength(12 * 3);
+    expect(analyzeMesh(positions, index).ok).toBe(true);
+  });
+
+  it('fills a larger hole with a fan around its centre, wound outward', () => {
+    const { positions, index, fixes } = repair(without(cube(), 0, 1));
+    expect(fixes.holesFilled).toBe(1);
+    // One centre vertex and a triangle per rim edge
+    expect(positions).toHaveLength(9 * 3);
+    expect(index).toHaveLength(14 * 3);
+    expect(Array.from(positions.slice(24))).toEqual([5, 5, 0]);
+    expect(analyzeMesh(positions, index).ok).toBe(true);
+  });
+
+  it('leaves holes with more edges than allowed open', () => {
+    const { positions, index, fixes } = repair(without(cube(), 0, 1), { maxHoleEdges: 3 });
+    expect(fixes).toMatchObject({ holesFilled: 0, holesLeft: 1 });
+    expect(analyzeMesh(positions, index).openEdges).toBe(4);
+  });
+
+  it('turns flipped triangles to match their neighbours', () => {
+    const repaired = repair(flipOne(cube()));
+    expect(repaired.fixes.flipped).toBe(1);
+    expect(Array.from(repaired.index)).toEqual(Array.from(cube().index));
+  });
+
+  it('turns an inside-out part outward', () => {
+    const repaired = repair(insideOut(cube()));
+    expect(repaired.fixes.flipped).toBe(12);
+    expect(Array.from(repaired.index)).toEqual(Array.from(cube().index));
+  });
+
+  it('drops degenerate and duplicate triangles', () => {
+    const mesh = cube();
+    const [a, b, c] = mesh.index;
+    const { positions, index, fixes } = repair(withTriangles(mesh, [a, c, b], [a, a, b]));
+    expect(fixes).toMatchObject({ degenerate: 1, duplicate: 1 });
+    expect(index).toHaveLength(12 * 3);
+    expect(analyzeMesh(positions, index).ok).toBe(true);
+  });
+
+  it('leaves non-manifold edges alone', () => {
+    const { positions, index, fixes } = repair(withFin(cube()));
+    expect(fixes).toMatchObject({ holesFilled: 0, holesLeft: 0 });
+    expect(analyzeMesh(positions, index).nonManifoldEdges).toBe(1);
+  });
+});
@@ -0,0 +1,100 @@
+import { pathBounds, transformShape } from './pathUtils.js';
+
+const FIT_EPSILON = 1e-6;
+
+/* ----------------------------------------------------------
+   1.  Free-rectangle bookkeeping (MaxRects)
+---------------------------------------------------------- */
+const overlaps = (a, b) => a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+const contains = (a, b) => b.x >= a.x && b.y >= a.y && b.x + b.w <= a.x + a.w && b.y + b.h <= a.y + a.h;
+
+// Splits every free rectangle the used one overlaps into the (up to four) strips around it
+function splitFreeRects(free, used) {
+  const next = [];
+  free.forEach((r) => {
+    if (!overlaps(r, used)) {
+      next.push(r);
+      return;
+    }
+    if (used.x > r.x) next.push({ x: r.x, y: r.y, w: used.x - r.x, h: r.h });
+    if (used.x + used.w < r.x + r.w) next.push({ x: used.x + used.w, y: r.y, w: r.x + r.w - used.x - used.w, h: r.h });
+    if (used.y > r.y) next.push({ x: r.x, y: r.y, w: r.w, h: used.y - r.y });
+    if (used.y + used.h < r.y + r.h) next.push({ x: r.x, y: used.y + used.h, w: r.w, h: r.y + r.h - used.y - used.h });
+  });
+  return next.filter((r, i) => !next.some((o, j) => j !== i && contains(o, r) && (!contains(r, o) || j < i)));
+}
+
+// Best-short-side-fit: the free rectangle that leaves the smallest leftover strip
+function findPosition(free, w, h) {
+  let best = null;
+  free.forEach((r) => {
+    if (w > r.w + FIT_EPSILON || h > r.h + FIT_EPSILON) return;
+    const score = Math.min(r.w - w, r.h - h);
+    if (!best || score < best.score || (score === best.score && r.y < best.y)) best = { x: r.x, y: r.y, score };
+  });
+  return best;
+}
+
+/* ----------------------------------------------------------
+   2.  Nesting
+---------------------------------------------------------- */
+/**
+ * Packs parts onto as many sheets as needed by their bounding boxes.
+ *
+ * @param {Array<{ shape: { outer: number[], holes: number[][] } }>} parts
+ * @param {{ sheetWidth: number, sheetHeight: number, spacing: number, allowRotation: boolean }} options
+ * @returns {{ sheets: Array<{ width: number, height: number, placements: Array }>, unplaced: Array }}
+ *   Each placement is the part plus `shape` moved into sheet coordinates and `rotated`.
+ */
+export function nestParts(parts, { sheetWidth, sheetHeight, spacing = 0, allowRotation = true }) {
+  const sheets = [];
+  const unplaced = [];
+
+  const sized = parts
+    .map((part) => {
+      const b = pathBounds([part.shape.outer]);
+      return { part, b, w: b.maxX - b.minX, h: b.maxY - b.minY };
+    })
+    .sort((a, b) => b.w * b.h - a.w * a.h || Math.max(b.w, b.h) - Math.max(a.w, a.h));
+
+  const newSheet = () => ({
+    width: sheetWidth,
+    height: sheetHeight,
+    placements: [],
+    free: [{ x: spacing, y: spacing, w: sheetWidth - spacing, h: sheetHeight - spacing }],
+  });
+
+  sized.forEach((item) => {
+    const orientations = [{ rotated: false, w: item.w, h: item.h }];
+    if (allowRotation && Math.abs(item.w - item.h) > FIT_EPSILON) orientations.push({ rotated: true, w: item.h, h: item.w });
+
+    const tryPlace = (sheet) => {
+      let best = null;
+      orientations.forEach((o) => {
+        const pos = findPosition(sheet.free, o.w + spacing, o.h + spacing);
+        if (pos && (!best || pos.score < best.pos.score)) best = { pos, o };
+      });
+      return best;
+    };
+
+    let sheet = sheets.find((s) => tryPlace(s));
+    if (!sheet) {
+      sheet = newSheet();
+      if (!tryPlace(sheet)) {
+        unplaced.push(item.part);
+        return;
+      }
+      sheets.push(sheet);
+    }
+
+    const { pos, o } = tryPlace(sheet);
+    // Rotating by +90° maps the bounding box corner (maxY, minX) onto the origin
+    const shape = o.rotated
+      ? transformShape(item.part.shape, { angle: Math.PI / 2, dx: pos.x + item.b.maxY, dy: pos.y - item.b.minX })
+      : transformShape(item.part.shape, { dx: pos.x - item.b.minX, dy: pos.y - item.b.minY });
+    sheet.placements.push({ ...item.part, shape, rotated: o.rotated, x: pos.x, y: pos.y, w: o.w, h: o.h });
+    sheet.free = splitFreeRects(sheet.free, { x: pos.x, y: pos.y, w: o.w + spacing, h: o.h + spacing });
+  });
+
+  return { sheets: sheets.map(({ free, ...s }) => s), unplaced };
+}
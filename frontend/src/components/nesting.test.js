@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+import { nestParts } from './nesting.js';
+import { pathBounds } from './pathUtils.js';
+
+const part = (id, w, h) => ({ id, shape: { outer: [0, 0, w, 0, w, h, 0, h], holes: [], engrave: [] } });
+const boundsOf = (placement) => pathBounds([placement.shape.outer]);
+
+describe('nestParts', () => {
+  it('turns a part a quarter turn when only that fits', () => {
+    const { sheets, unplaced } = nestParts([part('tall', 40, 90)], { sheetWidth: 100, sheetHeight: 50 });
+
+    expect(unplaced).toEqual([]);
+    const [placement] = sheets[0].placements;
+    expect(placement).toMatchObject({ id: 'tall', rotated: true, w: 90, h: 40 });
+    const b = boundsOf(placement);
+    expect([b.minX, b.minY, b.maxX, b.maxY].map((v) => Math.round(v * 1e6) / 1e6)).toEqual([0, 0, 90, 40]);
+  });
+
+  it('leaves a part that only fits turned when rotation is off', () => {
+    const { sheets, unplaced } = nestParts([part('tall', 40, 90)], { sheetWidth: 100, sheetHeight: 50, allowRotation: false });
+    expect(sheets).toEqual([]);
+    expect(unplaced.map((p) => p.id)).toEqual(['tall']);
+  });
+
+  it('opens another sheet when the first is full', () => {
+    const parts = Array.from({ length: 6 }, (_, i) => part(i, 50, 50));
+    const { sheets, unplaced } = nestParts(parts, { sheetWidth: 100, sheetHeight: 100 });
+
+    expect(unplaced).toEqual([]);
+    expect(sheets.map((s) => s.placements.length)).toEqual([4, 2]);
+    expect(sheets.flatMap((s) => s.placements.map((p) => p.id)).sort()).toEqual([0, 1, 2, 3, 4, 5]);
+    sheets.forEach((s) => expect(s).toMatchObject({ width: 100, height: 100 }));
+  });
+
+  it('keeps the spacing between parts and from every sheet edge', () => {
+    const spacing = 5;
+    const parts = Array.from({ length: 5 }, (_, i) => part(i, 40, 40));
+    const { sheets } = nestParts(parts, { sheetWidth: 100, sheetHeight: 100, spacing });
+
+    // 5 + 40 + 5 + 40 + 5 fits two across; a third would not
+    expect(sheets.map((s) => s.placements.length)).toEqual([4, 1]);
+    sheets.forEach((sheet) => {
+      const boxes = sheet.placements.map(boundsOf);
+      boxes.forEach((a, i) => {
+        expect(a.minX).toBeGreaterThanOrEqual(spacing - 1e-9);
+        expect(a.minY).toBeGreaterThanOrEqual(spacing - 1e-9);
+        expect(a.maxX).toBeLessThanOrEqual(sheet.width - spacing + 1e-9);
+        expect(a.maxY).toBeLessThanOrEqual(sheet.height - spacing + 1e-9);
+        boxes.slice(i + 1).forEach((b) => {
+          const gap = Math.max(b.minX - a.maxX, a.minX - b.maxX, b.minY - a.maxY, a.minY - b.maxY);
+          expect(gap).toBeGreaterThanOrEqual(spacing - 1e-9);
+        });
+      });
+    });
+  });
+
+  it('reports parts larger than the sheet and nests the rest', () => {
+    const parts = [part('wide', 120, 10), part('huge', 200, 200), part('small', 20, 20)];
+    const { sheets, unplaced } = nestParts(parts, { sheetWidth: 100, sheetHeight: 100, spacing: 5 });
+
+    expect(unplaced.map((p) => p.id).sort()).toEqual(['huge', 'wide']);
+    expect(sheets).toHaveLength(1);
+    expect(sheets[0].placements.map((p) => p.id)).toEqual(['small']);
+  });
+
+  it('moves holes and engraving with their part', () => {
+    const framed = { id: 'frame', shape: { outer: [10, 10, 50, 10, 50, 30, 10, 30], holes: [[20, 15, 20, 25, 40, 25, 40, 15]], engrave: [[15, 12, 18, 12]] } };
+    const [placement] = nestParts([framed], { sheetWidth: 100, sheetHeight: 100 }).sheets[0].placements;
+
+    expect(placement.rotated).toBe(false);
+    expect(placement.shape.outer).toEqual([0, 0, 40, 0, 40, 20, 0, 20]);
+    expect(placement.shape.holes).toEqual([[10, 5, 10, 15, 30, 15, 30, 5]]);
+    expect(placement.shape.engrave).toEqual([[5, 2, 8, 2]]);
+  });
+});
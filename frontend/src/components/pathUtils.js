@@ -0,0 +1,42 @@
+/* ----------------------------------------------------------
+   Helpers for flat 2-D paths: [x0, y0, x1, y1, …] in mm
+---------------------------------------------------------- */
+
+export const pathBounds = (paths) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  paths.forEach((path) => {
+    for (let i = 0; i < path.length; i += 2) {
+      minX = Math.min(minX, path[i]);
+      maxX = Math.max(maxX, path[i]);
+      minY = Math.min(minY, path[i + 1]);
+      maxY = Math.max(maxY, path[i + 1]);
+    }
+  });
+  return { minX, minY, maxX, maxY };
+};
+
+// Length of the polyline, plus the closing edge back to the start when `closed`
+export const pathLength = (path, closed = true) => {
+  let len = 0;
+  for (let i = 2; i < path.length; i += 2) len += Math.hypot(path[i] - path[i - 2], path[i + 1] - path[i - 1]);
+  return closed && path.length >= 4 ? len + Math.hypot(path[0] - path[path.length - 2], path[1] - path[path.length - 1]) : len;
+};
+
+// Applies (x, y) → (x·cos − y·sin + dx, x·sin + y·cos + dy) to every point
+export const transformPath = (path, { dx = 0, dy = 0, angle = 0 }) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const out = new Array(path.length);
+  for (let i = 0; i < path.length; i += 2) {
+    out[i] = path[i] * cos - path[i + 1] * sin + dx;
+    out[i + 1] = path[i] * sin + path[i + 1] * cos + dy;
+  }
+  return out;
+};
+
+export const transformShape = (shape, t) => ({
+  ...shape,
+  outer: transformPath(shape.outer, t),
+  holes: shape.holes.map((h) => transformPath(h, t)),
+  engrave: shape.engrave.map((e) => transformPath(e, t)),
+});
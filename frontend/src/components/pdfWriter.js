@@ -0,0 +1,77 @@
+/* ----------------------------------------------------------
+   Minimal PDF 1.4 writer for vector print templates.
+   Page content is written in millimetres (a mm → pt matrix is
+   prepended to every page) and text uses the built-in Helvetica,
+   so nothing has to be embedded. Output is plain ASCII.
+---------------------------------------------------------- */
+
+const PT_PER_MM = 72 / 25.4;
+
+const num = (v) => (Math.abs(v) < 5e-5 ? 0 : v).toFixed(4).replace(/\.?0+$/, '');
+
+// Literal strings need (, ) and \ escaped; non-ASCII characters become '?'
+const pdfString = (text) => `(${String(text).replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, (c) => `\\${c}`)})`;
+
+/**
+ * Path operators for a flat [x0, y0, …] path in mm, stroked with the
+ * current line settings.
+ * @param {number[]} path
+ * @param {boolean} [closed=true]
+ * @returns {string}
+ */
+export function pdfPath(path, closed = true) {
+  if (path.length < 4) return '';
+  let out = `${num(path[0])} ${num(path[1])} m\n`;
+  for (let i = 2; i < path.length; i += 2) out += `${num(path[i])} ${num(path[i + 1])} l\n`;
+  return out + (closed ? 'h S\n' : 'S\n');
+}
+
+/**
+ * Text operators placing `text` with its baseline starting at (x, y) mm.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size  font size in mm
+ * @param {string} text
+ * @returns {string}
+ */
+export const pdfText = (x, y, size, text) => `BT /F1 ${num(size)} Tf ${num(x)} ${num(y)} Td ${pdfString(text)} Tj ET\n`;
+
+/**
+ * Assembles a PDF document from per-page content streams.
+ * @param {string[]} pages  content streams in mm
+ * @param {{ width: number, height: number }} size  page size in mm
+ * @returns {string}
+ */
+export function writePdf(pages, { width, height }) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = add('');
+  const pagesRef = add('');
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const kids = pages.map((content) => {
+    // Full precision here: the matrix is what makes prints exactly 1:1
+    const stream = `${PT_PER_MM.toFixed(8)} 0 0 ${PT_PER_MM.toFixed(8)} 0 0 cm\n${content}`;
+    const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesRef} 0 R /Contents ${contents} 0 R /Resources << /Font << /F1 ${font} 0 R >> >> >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+  objects[pagesRef - 1] =
+    `<< /Type /Pages /Count ${kids.length} /Kids [${kids.map((k) => `${k} 0 R`).join(' ')}] ` +
+    `/MediaBox [0 0 ${num(width * PT_PER_MM)} ${num(height * PT_PER_MM)}] >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return out;
+}
@@ -0,0 +1,118 @@
+/* ----------------------------------------------------------
+   1:1 paper templates: small parts are nested onto pages,
+   parts larger than the printable area are tiled with overlap
+---------------------------------------------------------- */
+import { nestParts } from './nesting.js';
+import { pathBounds, transformShape } from './pathUtils.js';
+import { pdfPath, pdfText, writePdf } from './pdfWriter.js';
+
+export const PAPER_SIZES = {
+  A4: { width: 210, height: 297 },
+  Letter: { width: 215.9, height: 279.4 },
+};
+
+const MARGIN = 10;        // mm, inside what most printers can reach
+const HEADER = 14;        // mm band at the top for the caption and calibration square
+const OVERLAP = 15;       // mm of content repeated on neighbouring tiles
+const PART_SPACING = 5;   // mm between nested parts
+const CALIBRATION = 10;   // mm side of the calibration square
+const TEXT_SIZE = 3.5;    // mm
+const CAPTION_CHARS = 80; // keeps the caption clear of the calibration square
+
+const partLabel = (part) => `L${part.sliceIndex + 1}${part.partCount > 1 ? `-${part.shapeIndex + 1}` : ''}`;
+
+// Caption on the left of the header band, calibration square with its size on the right
+function pageHeader(paper, caption) {
+  const top = paper.height - MARGIN;
+  const x = paper.width - MARGIN - CALIBRATION;
+  const square = [x, top - CALIBRATION, x + CALIBRATION, top - CALIBRATION, x + CALIBRATION, top, x, top];
+  return (
+    '0 g 0.2 w\n' +
+    pdfText(MARGIN, top - TEXT_SIZE, TEXT_SIZE, caption.length > CAPTION_CHARS ? `${caption.slice(0, CAPTION_CHARS - 3)}...` : caption) +
+    pdfText(MARGIN, top - 2.2 * TEXT_SIZE, TEXT_SIZE * 0.8, `Print at 100% / actual size - the square must measure exactly ${CALIBRATION} mm`) +
+    pdfPath(square) +
+    pdfText(x - 13, top - CALIBRATION / 2 - 1, TEXT_SIZE * 0.8, `${CALIBRATION} mm`)
+  );
+}
+
+// Outlines in black, holes too, engraved marks in grey
+function partContent(shape) {
+  return (
+    '0 G 0.3 w\n' +
+    pdfPath(shape.outer) +
+    shape.holes.map((h) => pdfPath(h)).join('') +
+    (shape.engrave.length ? '0.6 G 0.2 w\n' + shape.engrave.map((e) => pdfPath(e, false)).join('') : '')
+  );
+}
+
+const dashedLine = (x0, y0, x1, y1) => `[2 1.5] 0 d 0.4 G 0.2 w\n${x0} ${y0} m ${x1} ${y1} l S\n[] 0 d\n`;
+
+const crossMark = (x, y, r = 3) => `0 G 0.2 w\n${x - r} ${y} m ${x + r} ${y} l S\n${x} ${y - r} m ${x} ${y + r} l S\n`;
+
+/**
+ * Builds a PDF of 1:1 templates for every part of every slice.
+ * @param {object[]} slices  worker slices
+ * @param {{ paper?: string, modelName?: string }} [options]
+ * @returns {{ pdf: string, pages: number }}
+ */
+export function buildPrintTemplates(slices, { paper = 'A4', modelName = '' } = {}) {
+  const size = PAPER_SIZES[paper] || PAPER_SIZES.A4;
+  const area = { width: size.width - 2 * MARGIN, height: size.height - 2 * MARGIN - HEADER };
+  const title = modelName ? `${modelName} - ` : '';
+
+  const parts = slices.flatMap((s, sliceIndex) =>
+    s.shapes.map((shape, shapeIndex) => ({ sliceIndex, shapeIndex, partCount: s.shapes.length, shape, thickness: s.thickness }))
+  );
+  const { sheets, unplaced } = nestParts(parts, {
+    sheetWidth: area.width,
+    sheetHeight: area.height,
+    spacing: PART_SPACING,
+    allowRotation: true,
+  });
+
+  const pages = sheets.map((sheet) => {
+    const labels = sheet.placements.map(partLabel);
+    let content = pageHeader(size, `${title}${labels.join(', ')}`);
+    sheet.placements.forEach((p) => {
+      const shape = transformShape(p.shape, { dx: MARGIN, dy: MARGIN });
+      content += partContent(shape) + '0 g\n' + pdfText(MARGIN + p.x, MARGIN + p.y + p.h + 1, TEXT_SIZE * 0.8, partLabel(p));
+    });
+    return content;
+  });
+
+  // Tiles step by the printable area less the overlap; the marks sit in the
+  // shared strips so they print on both neighbours at the same place.
+  unplaced.forEach((part) => {
+    const b = pathBounds([part.shape.outer]);
+    const stepX = area.width - OVERLAP;
+    const stepY = area.height - OVERLAP;
+    const cols = Math.max(1, Math.ceil((b.maxX - b.minX - OVERLAP) / stepX));
+    const rows = Math.max(1, Math.ceil((b.maxY - b.minY - OVERLAP) / stepY));
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const x0 = b.minX + col * stepX;
+        const y0 = b.minY + row * stepY;
+        const shape = transformShape(part.shape, { dx: MARGIN - x0, dy: MARGIN - y0 });
+        const caption = `${title}${partLabel(part)}  tile ${row * cols + col + 1}/${rows * cols} (row ${row + 1}, column ${col + 1})`;
+        let content = pageHeader(size, caption);
+        content += `q ${MARGIN} ${MARGIN} ${area.width} ${area.height} re W n\n${partContent(shape)}Q\n`;
+
+        const midX = MARGIN + area.width / 2;
+        const midY = MARGIN + area.height / 2;
+        if (col > 0) content += dashedLine(MARGIN + OVERLAP / 2, MARGIN, MARGIN + OVERLAP / 2, MARGIN + area.height) + crossMark(MARGIN + OVERLAP / 2, midY);
+        if (col < cols - 1) {
+          const x = MARGIN + area.width - OVERLAP / 2;
+          content += dashedLine(x, MARGIN, x, MARGIN + area.height) + crossMark(x, midY);
+        }
+        if (row > 0) content += dashedLine(MARGIN, MARGIN + OVERLAP / 2, MARGIN + area.width, MARGIN + OVERLAP / 2) + crossMark(midX, MARGIN + OVERLAP / 2);
+        if (row < rows - 1) {
+          const y = MARGIN + area.height - OVERLAP / 2;
+          content += dashedLine(MARGIN, y, MARGIN + area.width, y) + crossMark(midX, y);
+        }
+        pages.push(content);
+      }
+    }
+  });
+
+  return { pdf: writePdf(pages, size), pages: pages.length };
+}
@@ -0,0 +1,58 @@
+/* ----------------------------------------------------------
+   .slicr project files: the original mesh file plus every
+   setting needed to reproduce the slice set.
+
+   Layout:  "SLICR" 0x00 <version u8> 0x0a
+            <header length, u32 little-endian>
+            <header, UTF-8 JSON: { fileName, state }>
+            <mesh file bytes, unchanged>
+---------------------------------------------------------- */
+
+export const PROJECT_EXTENSION = '.slicr';
+const MAGIC = [0x53, 0x4c, 0x49, 0x43, 0x52, 0x00]; // "SLICR\0"
+const VERSION = 1;
+const PREAMBLE = MAGIC.length + 2;
+
+export const isProjectFile = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(MAGIC.length, buffer.byteLength));
+  return bytes.length === MAGIC.length && MAGIC.every((b, i) => bytes[i] === b);
+};
+
+/**
+ * Bundles a mesh file and the viewer state into one project file.
+ * @param {{ fileName: string, modelBytes: ArrayBuffer, state: object }} project
+ * @returns {Blob}
+ */
+export function writeProject({ fileName, modelBytes, state }) {
+  const header = new TextEncoder().encode(JSON.stringify({ fileName, state }));
+  const head = new Uint8Array(PREAMBLE + 4);
+  head.set(MAGIC);
+  head[MAGIC.length] = VERSION;
+  head[MAGIC.length + 1] = 0x0a;
+  new DataView(head.buffer).setUint32(PREAMBLE, header.length, true);
+  return new Blob([head, header, modelBytes], { type: 'application/octet-stream' });
+}
+
+/**
+ * Splits a project file back into its parts. Throws an Error with a readable
+ * message for anything that isn't a project this version understands.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ fileName: string, modelBytes: ArrayBuffer, state: object }}
+ */
+export function readProject(buffer) {
+  if (!isProjectFile(buffer)) throw new Error('Not a .slicr project file');
+  const version = new Uint8Array(buffer)[MAGIC.length];
+  if (version > VERSION) throw new Error(`Project file version ${version} is newer than this app supports`);
+  if (buffer.byteLength < PREAMBLE + 4) throw new Error('The project file is truncated');
+  const length = new DataView(buffer).getUint32(PREAMBLE, true);
+  const start = PREAMBLE + 4;
+  if (start + length > buffer.byteLength) throw new Error('The project file is truncated');
+
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, start, length)));
+  } catch (err) {
+    throw new Error(`The project settings are damaged: ${err.message}`);
+  }
+  return { fileName: header.fileName || 'model.stl', state: header.state || {}, modelBytes: buffer.slice(start + length) };
+}
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { writeProject, readProject, isProjectFile } from './projectFile.js';
+import { DEFAULT_MATERIALS, normalizeMaterial } from './materials.js';
+import { ESTIMATE_DEFAULTS } from './estimate.js';
+
+// Jest's node environment leaves out the Blob global Node itself provides
+global.Blob = Blob;
+
+const MODEL = new TextEncoder().encode('solid part\nendsolid part\n').buffer;
+
+// The parts of the viewer state a project has to bring back
+const STATE = {
+  material: { ...DEFAULT_MATERIALS[2], name: 'Smoked acrylic', kerf: 0.12 },
+  slicingParams: { sliceHeight: 3, kerf: 0.12, slicingPlane: 'Z' },
+  estimateParams: { ...ESTIMATE_DEFAULTS, sheetPrice: 27.5, density: 1190 },
+  repair: null,
+};
+
+const saved = (project) => writeProject(project).arrayBuffer();
+
+describe('project files', () => {
+  it('gives back the model, its name and the state it was saved with', async () => {
+    const buffer = await saved({ fileName: 'lamp.stl', modelBytes: MODEL, state: STATE });
+
+    expect(isProjectFile(buffer)).toBe(true);
+    const project = readProject(buffer);
+    expect(project.fileName).toBe('lamp.stl');
+    expect(project.state).toEqual(STATE);
+    expect(new Uint8Array(project.modelBytes)).toEqual(new Uint8Array(MODEL));
+  });
+
+  it('keeps the material preset usable, costs included', async () => {
+    const { state } = readProject(await saved({ fileName: 'lamp.stl', modelBytes: MODEL, state: STATE }));
+    expect(normalizeMaterial(state.material)).toEqual(STATE.material);
+    expect(state.estimateParams.sheetPrice).toBe(27.5);
+  });
+
+  it('rejects files that are not projects', () => {
+    expect(isProjectFile(MODEL)).toBe(false);
+    expect(() => readProject(MODEL)).toThrow('Not a .slicr project file');
+  });
+
+  it('rejects newer versions and truncated files', async () => {
+    const buffer = await saved({ fileName: 'lamp.stl', modelBytes: MODEL, state: STATE });
+
+    const newer = buffer.slice(0);
+    new Uint8Array(newer)[6] = 2;
+    expect(() => readProject(newer)).toThrow('Project file version 2 is newer than this app supports');
+    expect(() => readProject(buffer.slice(0, 20))).toThrow('The project file is truncated');
+  });
+});
@@ -0,0 +1,1035 @@
+/* ----------------------------------------------------------
+   Slicing core: meshes in, closed and labelled parts out. No DOM
+   and no worker globals, so the slicer worker and the slicr CLI
+   share it; Node loads it directly, hence the explicit extensions
+   on relative imports.
+---------------------------------------------------------- */
+import ClipperLib from 'js-clipper';
+import { layoutText } from './strokeFont.js';
+import { pathBounds, transformPath } from './pathUtils.js';
+
+// Keeps scaled coordinates inside Clipper's fast (non-Int128) integer range for parts up to ~4 m
+const CL_SCALE = 10_000;
+const EPSILON = 1e-5;
+const WELD_TOLERANCE = 1e-5;    // model units, vertices closer than this are one vertex
+const GAP_TOLERANCE = 0.5;      // mm, largest gap bridged between open chain ends
+const MIN_CONTOUR_AREA = 0.01;  // mm², smaller loops are numerical noise
+const ARC_TOLERANCE = 0.01;     // mm, max deviation of rounded offset corners
+
+// Long runs report through a job: checkpoint() between units of work (the
+// worker yields and checks for cancellation there), progress(stage, done, total)
+// and layer(slice, done, total) for each finished part. Without one, a run goes
+// straight through and only the return value is left.
+export const DIRECT_JOB = { checkpoint: async () => {}, progress: () => {}, layer: () => {} };
+
+// Slicing planes are { name, normal, u, v }: slices sit at dot(p, normal) = value
+// and are drawn in the (u, v) basis, shared by projection and the 3-D lift in the viewer
+const AXIS_PLANES = {
+  X: { name: 'X', normal: [1, 0, 0], u: [0, 1, 0], v: [0, 0, 1] },
+  Y: { name: 'Y', normal: [0, 1, 0], u: [1, 0, 0], v: [0, 0, 1] },
+  Z: { name: 'Z', normal: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0] },
+};
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const normalize = (a) => {
+  const len = Math.hypot(...a);
+  return a.map((c) => c / len);
+};
+
+// Letter of the world axis a direction runs along, 'N' for an oblique one
+const axisName = (dir) => ['X', 'Y', 'Z'].find((_, i) => Math.abs(Math.abs(dir[i]) - 1) < EPSILON) || 'N';
+
+// Axis planes keep their fixed basis. Any other normal gets v along world Z
+// projected into the plane (world Y when the plane is nearly horizontal) and
+// u = v × normal, so parts stay upright and the basis only moves as the
+// normal does, never jumping between nearby orientations.
+export function resolvePlane(plane, normal) {
+  if (AXIS_PLANES[plane]) return AXIS_PLANES[plane];
+  const n = Array.isArray(normal) && Math.hypot(...normal) > EPSILON ? normalize(normal) : [0, 0, 1];
+  const up = Math.abs(n[2]) < 0.99 ? [0, 0, 1] : [0, 1, 0];
+  const v = normalize(up.map((c, i) => c - dot(up, n) * n[i]));
+  return { name: axisName(n), normal: n, u: cross(v, n), v };
+}
+
+/* ----------------------------------------------------------
+   1.  Extract raw segments
+---------------------------------------------------------- */
+// Range of dot(p, normal) over the scaled bounding box corners
+function axisRange(bbox, plane, sx, sy, sz) {
+  const values = [0, 1, 2, 3, 4, 5, 6, 7].map((i) =>
+    dot(plane.normal, [
+      (i & 1 ? bbox.max : bbox.min)[0] * sx,
+      (i & 2 ? bbox.max : bbox.min)[1] * sy,
+      (i & 4 ? bbox.max : bbox.min)[2] * sz,
+    ])
+  );
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+// Welds vertices that sit at the same position (to WELD_TOLERANCE) and
+// re-indexes the triangles onto them, dropping ones that collapse. Triangle
+// soups get their index this way; indexed meshes still go through it because
+// UV and normal seams split vertices that share a position.
+export function indexMesh(positions, index) {
+  const ids = new Map();
+  const unique = [];
+  const remap = new Uint32Array(positions.length / 3);
+  for (let i = 0; i < remap.length; i++) {
+    const k = `${Math.round(positions[3 * i] / WELD_TOLERANCE)},${Math.round(positions[3 * i + 1] / WELD_TOLERANCE)},${Math.round(positions[3 * i + 2] / WELD_TOLERANCE)}`;
+    let id = ids.get(k);
+    if (id === undefined) {
+      id = unique.length / 3;
+      ids.set(k, id);
+      unique.push(positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]);
+    }
+    remap[i] = id;
+  }
+  const corners = index || remap.map((_, i) => i);
+  const out = [];
+  for (let t = 0; t + 2 < corners.length; t += 3) {
+    const [a, b, c] = [remap[corners[t]], remap[corners[t + 1]], remap[corners[t + 2]]];
+    if (a !== b && b !== c && a !== c) out.push(a, b, c);
+  }
+  return { positions: new Float32Array(unique), index: Uint32Array.from(out) };
+}
+
+const BUCKET_TRIANGLES = 16;  // triangles per bucket the layer index aims for
+const MAX_BUCKETS = 4096;
+
+// Buckets triangles by their extent along the plane normal, so a slice only
+// visits the bucket its value falls in. Plane distance and (u, v) coordinates
+// are computed once per vertex and shared by every slice of the plane.
+function buildLayerIndex(mesh, plane, sx, sy, sz) {
+  const { positions, index } = mesh;
+  const [nx, ny, nz] = plane.normal;
+  const [ux, uy, uz] = plane.u;
+  const [vx, vy, vz] = plane.v;
+  const vertexCount = positions.length / 3;
+  const dist = new Float64Array(vertexCount);
+  const pu = new Float64Array(vertexCount);
+  const pv = new Float64Array(vertexCount);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < vertexCount; i++) {
+    const x = positions[3 * i] * sx;
+    const y = positions[3 * i + 1] * sy;
+    const z = positions[3 * i + 2] * sz;
+    dist[i] = x * nx + y * ny + z * nz;
+    pu[i] = x * ux + y * uy + z * uz;
+    pv[i] = x * vx + y * vy + z * vz;
+    if (dist[i] < min) min = dist[i];
+    if (dist[i] > max) max = dist[i];
+  }
+
+  const triCount = index.length / 3;
+  const lo = new Float64Array(triCount);
+  const hi = new Float64Array(triCount);
+  for (let t = 0; t < triCount; t++) {
+    const a = dist[index[3 * t]], b = dist[index[3 * t + 1]], c = dist[index[3 * t + 2]];
+    lo[t] = Math.min(a, b, c) - EPSILON;
+    hi[t] = Math.max(a, b, c) + EPSILON;
+  }
+
+  // Triangles are stored in every bucket they span; long ones (cylinder walls)
+  // would multiply, so the bucket count halves until the total stays bounded
+  let buckets = Math.max(1, Math.min(MAX_BUCKETS, Math.ceil(triCount / BUCKET_TRIANGLES)));
+  let bucketOf;
+  let total;
+  for (;;) {
+    const n = buckets;
+    const scale = n / (max - min || 1);
+    bucketOf = (d) => Math.min(n - 1, Math.max(0, Math.floor((d - min) * scale)));
+    total = 0;
+    for (let t = 0; t < triCount; t++) total += bucketOf(hi[t]) - bucketOf(lo[t]) + 1;
+    if (buckets === 1 || total <= 8 * triCount) break;
+    buckets = Math.ceil(buckets / 2);
+  }
+
+  const start = new Uint32Array(buckets + 1);
+  for (let t = 0; t < triCount; t++) {
+    for (let b = bucketOf(lo[t]), last = bucketOf(hi[t]); b <= last; b++) start[b + 1]++;
+  }
+  for (let b = 0; b < buckets; b++) start[b + 1] += start[b];
+  const fill = start.slice(0, buckets);
+  const items = new Uint32Array(total);
+  for (let t = 0; t < triCount; t++) {
+    for (let b = bucketOf(lo[t]), last = bucketOf(hi[t]); b <= last; b++) items[fill[b]++] = t;
+  }
+  return { index, vertexCount, dist, pu, pv, min, max, bucketOf, start, items };
+}
+
+const COPLANAR_NUDGE = 1e-3; // mm a slice moves along the normal to clear mesh vertices
+
+// A plane through vertices meets faces lying in it and edges running along it,
+// which have no single crossing; CAD parts put faces exactly on layer steps.
+// Such a slice is cut a hair further along the normal instead, through the
+// material of the plate that starts there.
+function clearOfVertices({ index, dist, bucketOf, start, items }, value) {
+  const touches = (val) => {
+    const bucket = bucketOf(val);
+    for (let i = start[bucket]; i < start[bucket + 1]; i++) {
+      for (let j = 0; j < 3; j++) {
+        if (Math.abs(dist[index[3 * items[i] + j]] - val) <= EPSILON) return true;
+      }
+    }
+    return false;
+  };
+  let val = value;
+  while (touches(val)) val += COPLANAR_NUDGE;
+  return val;
+}
+
+// Segments come back flat, two ends per segment: keys[2s + e] and the end's
+// (u, v) at points[4s + 2e]. Keys are topological, so neighbouring triangles
+// share the points they have in common exactly: the crossing of edge lo–hi is
+// vertexCount·(1 + lo) + hi. Slices keep the value asked for, even when they
+// were cut clear of vertices.
+function getSliceSegments(layerIndex, valuesToSlice) {
+  const { index, vertexCount, dist, pu, pv, bucketOf, start, items } = layerIndex;
+  return valuesToSlice.map((value) => {
+    const val = clearOfVertices(layerIndex, value);
+    const bucket = bucketOf(val);
+    const capacity = start[bucket + 1] - start[bucket];
+    const keys = new Float64Array(2 * capacity);
+    const points = new Float64Array(4 * capacity);
+    let count = 0;
+    for (let i = start[bucket]; i < start[bucket + 1]; i++) {
+      const t = items[i];
+      let ends = 0;
+      for (let j = 0; j < 3; j++) {
+        const a = index[3 * t + j];
+        const b = index[3 * t + ((j + 1) % 3)];
+        if ((dist[a] < val) === (dist[b] < val)) continue;
+        const lo = a < b ? a : b;
+        const hi = a < b ? b : a;
+        const k = (val - dist[lo]) / (dist[hi] - dist[lo]);
+        keys[2 * count + ends] = vertexCount * (1 + lo) + hi;
+        points[4 * count + 2 * ends] = pu[lo] + k * (pu[hi] - pu[lo]);
+        points[4 * count + 2 * ends + 1] = pv[lo] + k * (pv[hi] - pv[lo]);
+        ends++;
+      }
+      if (ends === 2) count++;
+    }
+    return { value, count, keys, points };
+  });
+}
+
+/* ----------------------------------------------------------
+   2.  Snap & trace helpers
+---------------------------------------------------------- */
+// Turns a slice's flat segments into pairs of Clipper points, one shared
+// point object per topological key.
+function projectSegments({ count, keys, points }) {
+  const shared = new Map();
+  const project = (i) => {
+    let pt = shared.get(keys[i]);
+    if (!pt) {
+      pt = { X: Math.round(points[2 * i] * CL_SCALE), Y: Math.round(points[2 * i + 1] * CL_SCALE), key: keys[i] };
+      shared.set(keys[i], pt);
+    }
+    return pt;
+  };
+  const out = new Array(count);
+  for (let s = 0; s < count; s++) out[s] = [project(2 * s), project(2 * s + 1)];
+  return out;
+}
+
+const pointKey = (p) => p.key;
+
+// Walks segments end-to-end through their shared keys, so every chain either
+// returns to its start or hits a dead end (a hole in the mesh).
+function traceChains(raw) {
+  // Duplicated triangles report the same segment twice
+  const seen = new Set();
+  const snapped = raw.filter(([a, b]) => {
+    const k = [pointKey(a), pointKey(b)].sort().join('|');
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+
+  const byPoint = new Map();
+  snapped.forEach(([a, b], i) => {
+    [a, b].forEach((p) => {
+      const k = pointKey(p);
+      if (!byPoint.has(k)) byPoint.set(k, []);
+      byPoint.get(k).push(i);
+    });
+  });
+
+  const used = new Uint8Array(snapped.length);
+  const extend = (chain) => {
+    for (;;) {
+      const tail = chain[chain.length - 1];
+      if (chain.length > 2 && tail === chain[0]) return true;
+      const next = byPoint.get(pointKey(tail)).find((j) => !used[j]);
+      if (next === undefined) return false;
+      used[next] = 1;
+      const [a, b] = snapped[next];
+      chain.push(a === tail ? b : a);
+    }
+  };
+
+  const closed = [];
+  const open = [];
+  snapped.forEach(([a, b], i) => {
+    if (used[i]) return;
+    used[i] = 1;
+    let chain = [a, b];
+    if (extend(chain)) {
+      chain.pop();
+      closed.push(chain);
+      return;
+    }
+    chain = chain.reverse();
+    if (extend(chain)) {
+      chain.pop();
+      closed.push(chain);
+    } else {
+      open.push(chain);
+    }
+  });
+  return { closed, open };
+}
+
+// Joins open chains whose ends lie within GAP_TOLERANCE of each other (missing
+// or sliver triangles leave such gaps), closing a chain once its own ends meet.
+function bridgeGaps(open, closed) {
+  const maxGap = GAP_TOLERANCE * CL_SCALE;
+  const dist = (a, b) => Math.hypot(a.X - b.X, a.Y - b.Y);
+  const chains = open.slice();
+  const remaining = [];
+
+  while (chains.length) {
+    const chain = chains.pop();
+    const head = chain[0];
+    const tail = chain[chain.length - 1];
+
+    let best = null;
+    chains.forEach((other, idx) => {
+      const dStart = dist(tail, other[0]);
+      const dEnd = dist(tail, other[other.length - 1]);
+      const d = Math.min(dStart, dEnd);
+      if (d <= maxGap && (!best || d < best.d)) best = { idx, d, reverse: dEnd < dStart };
+    });
+
+    const selfGap = chain.length > 2 ? dist(head, tail) : Infinity;
+    if (selfGap <= maxGap && (!best || selfGap <= best.d)) {
+      closed.push(chain);
+    } else if (best) {
+      const [other] = chains.splice(best.idx, 1);
+      if (best.reverse) other.reverse();
+      chains.push(chain.concat(other));
+    } else {
+      remaining.push(chain);
+    }
+  }
+  return remaining;
+}
+
+const toFlatPath = (path) => path.flatMap((p) => [p.X / CL_SCALE, p.Y / CL_SCALE]);
+const toIntPath = (flat) => {
+  const out = [];
+  for (let i = 0; i < flat.length; i += 2) out.push({ X: Math.round(flat[i] * CL_SCALE), Y: Math.round(flat[i + 1] * CL_SCALE) });
+  return out;
+};
+const pathArea = (path) => Math.abs(ClipperLib.Clipper.Area(path)) / (CL_SCALE * CL_SCALE);
+
+// Turns a slice's segments into closed material regions plus whatever
+// chains could not be closed. Regions come back from an even-odd union, so
+// outer boundaries run counter-clockwise and holes clockwise.
+function stitchContours(slice) {
+  const { closed, open } = traceChains(projectSegments(slice));
+  const unclosed = bridgeGaps(open, closed);
+
+  const loops = closed
+    .map((path) => ClipperLib.Clipper.CleanPolygon(path, 1.415))
+    .filter((path) => path.length >= 3 && pathArea(path) >= MIN_CONTOUR_AREA);
+
+  const clipper = new ClipperLib.Clipper();
+  clipper.AddPaths(loops, ClipperLib.PolyType.ptSubject, true);
+  const regions = [];
+  clipper.Execute(ClipperLib.ClipType.ctUnion, regions, ClipperLib.PolyFillType.pftEvenOdd, ClipperLib.PolyFillType.pftEvenOdd);
+
+  return { regions, openPaths: unclosed.map(toFlatPath) };
+}
+
+/* ----------------------------------------------------------
+   3.  Polygon tree
+---------------------------------------------------------- */
+// Nests oriented regions into shapes: each outer boundary with its direct
+// holes. Islands inside a hole become shapes of their own with depth + 1.
+function buildShapes(regions) {
+  const clipper = new ClipperLib.Clipper();
+  clipper.AddPaths(regions, ClipperLib.PolyType.ptSubject, true);
+  const tree = new ClipperLib.PolyTree();
+  clipper.Execute(ClipperLib.ClipType.ctUnion, tree, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+
+  const shapes = [];
+  const visit = (node, depth) => {
+    node.Childs().forEach((outer) => {
+      const holes = outer.Childs();
+      shapes.push({
+        outer: toFlatPath(outer.Contour()),
+        holes: holes.map((h) => toFlatPath(h.Contour())),
+        depth,
+        area: pathArea(outer.Contour()) - holes.reduce((sum, h) => sum + pathArea(h.Contour()), 0),
+        engrave: [],
+      });
+      holes.forEach((hole) => visit(hole, depth + 1));
+    });
+  };
+  visit(tree, 0);
+  return shapes.sort((a, b) => a.depth - b.depth || b.area - a.area);
+}
+
+// The normal is carried along for anything that builds solids from the outline
+function planeBasis(plane, value) {
+  return { origin: plane.normal.map((c) => c * value), u: plane.u, v: plane.v, normal: plane.normal };
+}
+
+/* ----------------------------------------------------------
+   4.  Kerf compensation
+---------------------------------------------------------- */
+// The beam / cutter removes kerf/2 either side of the path, so the path runs
+// kerf/2 outside the part. A positive offset of oriented regions grows outer
+// boundaries and shrinks holes in one pass.
+function offsetRegions(regions, delta) {
+  const offset = new ClipperLib.ClipperOffset(2, ARC_TOLERANCE * CL_SCALE);
+  offset.AddPaths(regions, ClipperLib.JoinType.jtRound, ClipperLib.EndType.etClosedPolygon);
+  const out = [];
+  offset.Execute(out, delta * CL_SCALE);
+  return out;
+}
+
+function applyKerf(regions, kerf) {
+  if (!(kerf > 0) || !regions.length) return regions;
+  return offsetRegions(regions, kerf / 2);
+}
+
+/* ----------------------------------------------------------
+   5.  Egg-crate (waffle) ribs
+---------------------------------------------------------- */
+// Ribs stand on the slicing plane's normal and run along its u and v axes.
+// Each rib is drawn with the other direction as u and the normal as v, so a
+// crossing is always a vertical line at the other rib's value.
+function waffleRibPlanes(up) {
+  return [[up.u, up.v], [up.v, up.u]].map(([normal, u]) => ({ name: axisName(normal), normal, u, v: up.normal }));
+}
+const SLOT_OVERRUN = 1; // mm a slot runs past the rib edge so it opens cleanly
+
+// Material intervals of `regions` along the line where in-plane coordinate
+// `across` (0 = u, 1 = v) equals `at`, measured along the other coordinate.
+function materialIntervals(regions, across, at) {
+  const along = 1 - across;
+  const key = ['X', 'Y'];
+  const level = at * CL_SCALE;
+  const hits = [];
+  regions.forEach((path) => {
+    path.forEach((a, i) => {
+      const b = path[(i + 1) % path.length];
+      const ca = a[key[across]];
+      const cb = b[key[across]];
+      if ((ca <= level) === (cb <= level)) return;
+      const t = (level - ca) / (cb - ca);
+      hits.push((a[key[along]] + t * (b[key[along]] - a[key[along]])) / CL_SCALE);
+    });
+  });
+  hits.sort((x, y) => x - y);
+  const out = [];
+  for (let i = 0; i + 1 < hits.length; i += 2) out.push([hits[i], hits[i + 1]]);
+  return out;
+}
+
+function intersectIntervals(a, b) {
+  const out = [];
+  a.forEach(([a0, a1]) =>
+    b.forEach(([b0, b1]) => {
+      const lo = Math.max(a0, b0);
+      const hi = Math.min(a1, b1);
+      if (hi - lo > EPSILON) out.push([lo, hi]);
+    })
+  );
+  return out;
+}
+
+// Axis-aligned slot rectangle in a rib's (u, v) space as a Clipper path
+function slotPath(across, center, width, from, to) {
+  const r = (c) => Math.round(c * CL_SCALE);
+  const c0 = r(center - width / 2);
+  const c1 = r(center + width / 2);
+  const pts = across === 0
+    ? [[c0, r(from)], [c1, r(from)], [c1, r(to)], [c0, r(to)]]
+    : [[r(from), c0], [r(from), c1], [r(to), c1], [r(to), c0]];
+  return pts.map(([X, Y]) => ({ X, Y }));
+}
+
+function subtractPaths(regions, cutters) {
+  if (!cutters.length) return regions;
+  const clipper = new ClipperLib.Clipper();
+  clipper.AddPaths(regions, ClipperLib.PolyType.ptSubject, true);
+  clipper.AddPaths(cutters, ClipperLib.PolyType.ptClip, true);
+  const out = [];
+  clipper.Execute(ClipperLib.ClipType.ctDifference, out, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+  return out;
+}
+
+// Slices `ribsPerDirection` ribs on each of two orthogonal planes and cuts
+// matching half-depth slots, as wide as the material, wherever two ribs cross:
+// ribs of the first direction are slotted from the top, the second from below.
+function sliceWaffle(mesh, bbox, upPlane, sx, sy, sz, ribsPerDirection, thickness) {
+  const directions = waffleRibPlanes(upPlane).map((plane) => {
+    const { min, max } = axisRange(bbox, plane, sx, sy, sz);
+    const step = (max - min) / (ribsPerDirection + 1);
+    const values = Array.from({ length: ribsPerDirection }, (_, i) => min + (i + 1) * step);
+    const ribs = getSliceSegments(buildLayerIndex(mesh, plane, sx, sy, sz), values).map((slice) => ({
+      value: slice.value,
+      plane: plane.name,
+      ...stitchContours(slice),
+      basis: planeBasis(plane, slice.value),
+    }));
+    return { plane, ribs };
+  });
+
+  const [first, second] = directions;
+  const cuts = new Map([...first.ribs, ...second.ribs].map((rib) => [rib, []]));
+  first.ribs.forEach((a) => {
+    second.ribs.forEach((b) => {
+      // In each rib the crossing line sits at u = the other rib's value
+      const overlap = intersectIntervals(materialIntervals(a.regions, 0, b.value), materialIntervals(b.regions, 0, a.value));
+      overlap.forEach(([lo, hi]) => {
+        const mid = (lo + hi) / 2;
+        const overrun = SLOT_OVERRUN + thickness;
+        cuts.get(a).push(slotPath(0, b.value, thickness, mid, hi + overrun));
+        cuts.get(b).push(slotPath(0, a.value, thickness, lo - overrun, mid));
+      });
+    });
+  });
+
+  return directions.flatMap(({ ribs }, dir) =>
+    ribs.map((rib, index) => ({
+      ...rib,
+      regions: subtractPaths(rib.regions, cuts.get(rib)),
+      rib: { direction: dir, index },
+    }))
+  );
+}
+
+/* ----------------------------------------------------------
+   5b.  Radial fins & hubs
+---------------------------------------------------------- */
+const FIN_CLEARANCE = 0.5; // mm kept between neighbouring fins where they meet at the axis
+
+// Slot of `width` along the ray from `center` at `angle`, between radii `from` and `to`
+function raySlotPath([cx, cy], angle, width, from, to) {
+  const dx = Math.cos(angle);
+  const dy = Math.sin(angle);
+  const corner = (r, side) => ({
+    X: Math.round((cx + r * dx - side * dy * (width / 2)) * CL_SCALE),
+    Y: Math.round((cy + r * dy + side * dx * (width / 2)) * CL_SCALE),
+  });
+  return [corner(from, -1), corner(to, -1), corner(to, 1), corner(from, 1)];
+}
+
+// Slices `finCount` half-plane profiles rotated about the axis that runs along
+// the slicing plane's normal through the bounding box centre. Fins stop short
+// of the axis so neighbours (or the spine rod) clear each other. Each hub is a
+// disc across the axis; where a fin crosses a hub both get half-length slots,
+// the fin's opening towards the axis and the hub's towards its rim. A hub no
+// fin reaches (inside a hollow part, say) is marked `unjoined` with the
+// distance from the axis where fin material starts at its height, if any.
+function sliceRadial(mesh, bbox, axisPlane, sx, sy, sz, { finCount, hubCount, hubDiameter, spineDiameter, thickness }) {
+  const center = [0, 1, 2].map((i) => ((bbox.min[i] + bbox.max[i]) / 2) * [sx, sy, sz][i]);
+  const { min, max } = axisRange(bbox, axisPlane, sx, sy, sz);
+  const { normal: n, u, v } = axisPlane;
+  const reach = [0, 1, 2].reduce((sum, i) => sum + (bbox.max[i] - bbox.min[i]) * [sx, sy, sz][i], 0);
+  const innerR = Math.max(spineDiameter / 2, (thickness / 2 + FIN_CLEARANCE) / Math.sin(Math.PI / finCount));
+  const hubR = hubDiameter / 2;
+  const spineR = spineDiameter / 2;
+
+  const fins = Array.from({ length: finCount }, (_, index) => {
+    const angle = (index / finCount) * 2 * Math.PI;
+    const d = [0, 1, 2].map((i) => u[i] * Math.cos(angle) + v[i] * Math.sin(angle));
+    const plane = { name: 'R', normal: cross(n, d), u: d, v: n };
+    const value = dot(plane.normal, center);
+    const [slice] = getSliceSegments(buildLayerIndex(mesh, plane, sx, sy, sz), [value]);
+    const { regions, openPaths } = stitchContours(slice);
+    // In fin space u is the distance along d, so the axis sits at u = r0
+    const r0 = dot(d, center);
+    return {
+      value,
+      plane: plane.name,
+      angle,
+      r0,
+      regions: intersectPaths(regions, [slotPath(0, r0 + innerR + reach / 2, reach, min - 1, max + 1)]),
+      openPaths: openPaths.filter((path) => path.some((c, i) => i % 2 === 0 && c >= r0)),
+      basis: planeBasis(plane, value),
+      rib: { direction: 0, index },
+    };
+  });
+
+  const hubCenter = [dot(u, center), dot(v, center)];
+  const hubs = Array.from({ length: hubCount }, (_, index) => {
+    const value = min + ((index + 1) * (max - min)) / (hubCount + 1);
+    const disc = [circlePath(hubCenter, hubR)];
+    return {
+      value,
+      plane: 'H',
+      regions: spineR > 0 ? subtractPaths(disc, [circlePath(hubCenter, spineR)]) : disc,
+      openPaths: [],
+      basis: planeBasis(axisPlane, value),
+      rib: { direction: 1, index },
+    };
+  });
+
+  const cuts = new Map([...fins, ...hubs].map((part) => [part, []]));
+  const finStart = new Map(hubs.map((hub) => [hub, Infinity]));
+  fins.forEach((fin) => {
+    hubs.forEach((hub) => {
+      const finRun = materialIntervals(fin.regions, 1, hub.value).map(([a, b]) => [a - fin.r0, b - fin.r0]);
+      finRun.forEach(([a, b]) => {
+        if (b > spineR) finStart.set(hub, Math.min(finStart.get(hub), Math.max(a, spineR)));
+      });
+      const overlap = intersectIntervals(finRun, [[spineR, hubR]]);
+      overlap.forEach(([lo, hi]) => {
+        const mid = (lo + hi) / 2;
+        const overrun = SLOT_OVERRUN + thickness;
+        cuts.get(fin).push(slotPath(1, hub.value, thickness, fin.r0 + lo - overrun, fin.r0 + mid));
+        cuts.get(hub).push(raySlotPath(hubCenter, fin.angle, thickness, mid, hi + overrun));
+      });
+    });
+  });
+
+  return [...fins, ...hubs].map((part) => {
+    const { angle, r0, ...rest } = part;
+    const out = { ...rest, regions: subtractPaths(part.regions, cuts.get(part)) };
+    if (finStart.has(part) && !cuts.get(part).length) {
+      out.unjoined = { finStart: Number.isFinite(finStart.get(part)) ? finStart.get(part) : null };
+    }
+    return out;
+  });
+}
+
+/* ----------------------------------------------------------
+   6.  Engraved labels
+---------------------------------------------------------- */
+const LABEL_HEIGHTS = [6, 4, 3, 2]; // mm cap heights, largest that fits wins
+const LABEL_MARGIN = 1;             // mm kept clear of every cut edge
+
+// Centres the label on the row nearest the middle of the part whose material
+// run is long enough. Eroding the part by half the text height first means any
+// centre line inside the eroded area keeps the whole text on material.
+function placeLabel(shape, text) {
+  const paths = [shape.outer, ...shape.holes].map(toIntPath);
+  for (const height of LABEL_HEIGHTS) {
+    const { strokes, width } = layoutText(text, height);
+    const inner = offsetRegions(paths, -(height / 2 + LABEL_MARGIN));
+    if (!inner.length) continue;
+
+    const b = pathBounds(inner.map(toFlatPath));
+    const mid = (b.minY + b.maxY) / 2;
+    let best = null;
+    for (let y = b.minY; y <= b.maxY; y += height / 4) {
+      for (const [x0, x1] of materialIntervals(inner, 1, y)) {
+        const d = Math.abs(y - mid);
+        if (x1 - x0 >= width && (!best || d < best.d)) best = { x: (x0 + x1) / 2, y, d };
+      }
+    }
+    if (best) return strokes.map((stroke) => transformPath(stroke, { dx: best.x - width / 2, dy: best.y - height / 2 }));
+  }
+  return [];
+}
+
+// Layer marks read e.g. "BUNNY Z07"; further parts of the same layer get "-2", "-3", …
+function labelShapes(shapes, mark) {
+  return shapes.map((shape, i) => ({ ...shape, engrave: [...shape.engrave, ...placeLabel(shape, i ? `${mark}-${i + 1}` : mark)] }));
+}
+
+// Variable-thickness stacks add the plate thickness, e.g. "BUNNY Z07 6MM"
+const layerMark = (modelName, plane, index, thickness) =>
+  [modelName, `${plane}${String(index + 1).padStart(2, '0')}`, thickness && `${thickness}MM`].filter(Boolean).join(' ');
+
+/* ----------------------------------------------------------
+   7.  Alignment dowels & glue guides
+---------------------------------------------------------- */
+const DOWEL_MARGIN = 2; // mm of material kept around every dowel hole
+const DOWEL_GRID = 40;  // candidate positions per side of the common area
+
+function intersectPaths(a, b) {
+  const clipper = new ClipperLib.Clipper();
+  clipper.AddPaths(a, ClipperLib.PolyType.ptSubject, true);
+  clipper.AddPaths(b, ClipperLib.PolyType.ptClip, true);
+  const out = [];
+  clipper.Execute(ClipperLib.ClipType.ctIntersection, out, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+  return out;
+}
+
+const insideRegions = (regions, pt) =>
+  regions.reduce((n, path) => n + (ClipperLib.Clipper.PointInPolygon(pt, path) !== 0 ? 1 : 0), 0) % 2 === 1;
+
+function circlePath([cx, cy], r) {
+  const n = Math.max(16, Math.ceil(Math.PI / Math.acos(Math.max(-1, 1 - ARC_TOLERANCE / r))));
+  return Array.from({ length: n }, (_, i) => {
+    const a = (i / n) * 2 * Math.PI;
+    return { X: Math.round((cx + r * Math.cos(a)) * CL_SCALE), Y: Math.round((cy + r * Math.sin(a)) * CL_SCALE) };
+  });
+}
+
+// Spreads `count` dowel centres over the area every layer shares, keeping a
+// full hole plus margin on material. Seeds with the two candidates furthest
+// apart (one central candidate for a single dowel), then adds the candidate
+// furthest from those already chosen.
+function autoDowels(layerRegions, count, diameter) {
+  const layers = layerRegions.filter((r) => r.length);
+  if (!layers.length || count < 1) return [];
+  const common = layers.slice(1).reduce(intersectPaths, layers[0]);
+  const allowed = offsetRegions(common, -(diameter / 2 + DOWEL_MARGIN));
+  if (!allowed.length) return [];
+
+  const b = pathBounds(allowed.map(toFlatPath));
+  const step = Math.max(b.maxX - b.minX, b.maxY - b.minY) / DOWEL_GRID;
+  const candidates = [];
+  for (let x = b.minX + step / 2; x < b.maxX; x += step) {
+    for (let y = b.minY + step / 2; y < b.maxY; y += step) {
+      if (insideRegions(allowed, { X: Math.round(x * CL_SCALE), Y: Math.round(y * CL_SCALE) })) candidates.push([x, y]);
+    }
+  }
+  if (!candidates.length) return [];
+
+  const dist = (p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]);
+  let chosen;
+  if (count === 1) {
+    const cx = candidates.reduce((sum, p) => sum + p[0], 0) / candidates.length;
+    const cy = candidates.reduce((sum, p) => sum + p[1], 0) / candidates.length;
+    chosen = [candidates.reduce((best, p) => (dist(p, [cx, cy]) < dist(best, [cx, cy]) ? p : best))];
+  } else {
+    let seed = [candidates[0], candidates[0]];
+    candidates.forEach((p, i) => {
+      for (let j = i + 1; j < candidates.length; j++) {
+        if (dist(p, candidates[j]) > dist(seed[0], seed[1])) seed = [p, candidates[j]];
+      }
+    });
+    chosen = seed;
+  }
+  while (chosen.length < Math.min(count, candidates.length)) {
+    const gap = (p) => Math.min(...chosen.map((q) => dist(p, q)));
+    chosen.push(candidates.reduce((best, p) => (gap(p) > gap(best) ? p : best)));
+  }
+  return chosen;
+}
+
+const drillDowels = (regions, dowels, diameter) =>
+  subtractPaths(regions, dowels.map((pt) => circlePath(pt, diameter / 2)));
+
+// The next layer's outline, cut down to the parts that land on this shape
+function glueGuide(shape, neighbourRegions) {
+  if (!neighbourRegions?.length) return [];
+  const clipper = new ClipperLib.Clipper();
+  clipper.AddPaths(neighbourRegions.map((path) => [...path, path[0]]), ClipperLib.PolyType.ptSubject, false);
+  clipper.AddPaths([shape.outer, ...shape.holes].map(toIntPath), ClipperLib.PolyType.ptClip, true);
+  const tree = new ClipperLib.PolyTree();
+  clipper.Execute(ClipperLib.ClipType.ctIntersection, tree, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+  return ClipperLib.Clipper.OpenPathsFromPolyTree(tree).map(toFlatPath);
+}
+
+/* ----------------------------------------------------------
+   8.  Layer planning (uniform, adaptive, manual)
+---------------------------------------------------------- */
+const pathLength = (path) =>
+  path.reduce((sum, p, i) => {
+    const q = path[(i + 1) % path.length];
+    return sum + Math.hypot(q.X - p.X, q.Y - p.Y);
+  }, 0) / CL_SCALE;
+
+// Mean sideways distance between two sections: the area they do not share
+// spread over the longer outline. 0 for identical sections.
+function sectionDeviation(a, b) {
+  const perimeter = Math.max(a.reduce((sum, p) => sum + pathLength(p), 0), b.reduce((sum, p) => sum + pathLength(p), 0));
+  if (perimeter <= 0) return 0;
+  const clipper = new ClipperLib.Clipper();
+  clipper.AddPaths(a, ClipperLib.PolyType.ptSubject, true);
+  clipper.AddPaths(b, ClipperLib.PolyType.ptClip, true);
+  const diff = [];
+  clipper.Execute(ClipperLib.ClipType.ctXor, diff, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+  const area = Math.abs(diff.reduce((sum, p) => sum + ClipperLib.Clipper.Area(p), 0)) / (CL_SCALE * CL_SCALE);
+  return area / perimeter;
+}
+
+// Greedy bottom-up stacking: each plate takes the thickest sheet whose cut
+// section stays within `tolerance` mm of every section it spans, so plates
+// thin out where the cross-section changes quickly and thicken on straight walls.
+async function planAdaptiveLayers(sectionAt, min, max, thicknesses, tolerance, job) {
+  const options = [...new Set(thicknesses)].filter((t) => t > 0).sort((a, b) => b - a);
+  if (!options.length) return [];
+  const probe = options[options.length - 1] / 2;
+
+  const plan = [];
+  for (let z = min; z <= max + EPSILON; ) {
+    await job.checkpoint();
+    job.progress('planning', z - min, max - min);
+    const base = sectionAt(z).regions;
+    // Only sections inside the model count: the one at its top face is empty
+    const within = (t) => {
+      for (let s = z + probe; s < Math.min(z + t + EPSILON, max); s += probe) {
+        if (sectionDeviation(base, sectionAt(s).regions) > tolerance) return false;
+      }
+      return true;
+    };
+    const thickness = options.find(within) ?? options[options.length - 1];
+    plan.push({ value: z, thickness });
+    z += thickness;
+  }
+  return plan;
+}
+
+/**
+ * Where the plates of a stack start and how thick each is.
+ * @param {object} payload  Slicing parameters; layerMode picks uniform, adaptive or manual
+ * @param {number} min  Lowest value along the plane normal, mm
+ * @param {number} max  Highest value along the plane normal, mm
+ * @param {(value: number) => { regions: object[] }} sectionAt  Stitched section at a value, for adaptive plans
+ * @param {object} [job]
+ * @returns {Promise<{ value: number, thickness: number }[]>}  Sorted by value
+ */
+export async function planLayers({ layerMode, sliceHeight, thicknesses, adaptiveTolerance, manualLayers }, min, max, sectionAt, job = DIRECT_JOB) {
+  if (layerMode === 'adaptive') return planAdaptiveLayers(sectionAt, min, max, thicknesses, adaptiveTolerance, job);
+  if (layerMode === 'manual') {
+    return (manualLayers || [])
+      .filter((l) => Number.isFinite(l.value) && l.thickness > 0)
+      .map((l) => ({ value: Math.min(max, Math.max(min, l.value)), thickness: l.thickness }))
+      .sort((a, b) => a.value - b.value);
+  }
+  return Array.from({ length: Math.floor((max - min) / sliceHeight) + 1 }, (_, i) => ({ value: min + i * sliceHeight, thickness: sliceHeight }));
+}
+
+/* ----------------------------------------------------------
+   9.  Orientation
+---------------------------------------------------------- */
+// Rotations are 3×3 matrices in column-major order (THREE.Matrix3.elements),
+// applied before scaling: p' = R·p + offset.
+export const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+const ORIENT_FACE_CANDIDATES = 12; // largest face directions tried besides the six axes
+const ORIENT_SAMPLES = 16;         // cross-sections measured per candidate
+
+export function boundsOf(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      if (positions[i + k] < min[k]) min[k] = positions[i + k];
+      if (positions[i + k] > max[k]) max[k] = positions[i + k];
+    }
+  }
+  return { min, max };
+}
+
+export function transformMesh(mesh, r, t) {
+  const src = mesh.positions;
+  const positions = new Float32Array(src.length);
+  for (let i = 0; i < src.length; i += 3) {
+    const x = src[i], y = src[i + 1], z = src[i + 2];
+    positions[i] = r[0] * x + r[3] * y + r[6] * z + t[0];
+    positions[i + 1] = r[1] * x + r[4] * y + r[7] * z + t[1];
+    positions[i + 2] = r[2] * x + r[5] * y + r[8] * z + t[2];
+  }
+  return { positions, index: mesh.index };
+}
+
+// Rotation taking unit vector a onto unit vector b (Rodrigues)
+function rotationBetween(a, b) {
+  const c = dot(a, b);
+  if (c < -1 + EPSILON) {
+    // Half turn about any axis perpendicular to a
+    const axis = normalize(cross(a, Math.abs(a[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]));
+    return [0, 1, 2].flatMap((j) => [0, 1, 2].map((i) => 2 * axis[i] * axis[j] - (i === j ? 1 : 0)));
+  }
+  const [x, y, z] = cross(a, b);
+  const k = 1 / (1 + c);
+  return [
+    x * x * k + c, x * y * k + z, x * z * k - y,
+    y * x * k - z, y * y * k + c, y * z * k + x,
+    z * x * k + y, z * y * k - x, z * z * k + c,
+  ];
+}
+
+// The six axes plus the directions carrying the most face area, which are
+// the faces a part would naturally rest on
+function orientationCandidates(mesh) {
+  const { positions, index } = mesh;
+  const clusters = new Map();
+  for (let t = 0; t < index.length; t += 3) {
+    const [a, b, c] = [index[t], index[t + 1], index[t + 2]].map((i) => [positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]]);
+    const n = cross(b.map((v, k) => v - a[k]), c.map((v, k) => v - a[k]));
+    const area = Math.hypot(...n) / 2;
+    if (area <= 0) continue;
+    const key = n.map((v) => Math.round((v / (2 * area)) * 20)).join(',');
+    const cluster = clusters.get(key) || { area: 0, sum: [0, 0, 0] };
+    cluster.area += area;
+    n.forEach((v, k) => (cluster.sum[k] += v / 2));
+    clusters.set(key, cluster);
+  }
+  const faces = [...clusters.values()]
+    .sort((a, b) => b.area - a.area)
+    .slice(0, ORIENT_FACE_CANDIDATES)
+    .map((cluster) => normalize(cluster.sum));
+  const axes = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+  return [...axes, ...faces].filter((d, i, all) => all.findIndex((e) => dot(d, e) > 1 - 1e-6) === i);
+}
+
+// Net area of the smallest of a few evenly spaced cross-sections, in mm²
+function smallestSection(layerIndex) {
+  const { min, max } = layerIndex;
+  const values = Array.from({ length: ORIENT_SAMPLES }, (_, i) => min + ((i + 0.5) / ORIENT_SAMPLES) * (max - min));
+  return Math.min(
+    ...getSliceSegments(layerIndex, values).map((slice) => {
+      const { regions } = stitchContours(slice);
+      return Math.abs(regions.reduce((sum, path) => sum + ClipperLib.Clipper.Area(path), 0)) / (CL_SCALE * CL_SCALE);
+    })
+  );
+}
+
+// Tries each candidate face down on the slicing plane. 'layers' keeps the
+// model as short as possible along the normal; 'section' keeps its thinnest
+// layer as large as possible so no plate is left fragile. The other measure
+// breaks ties.
+export async function autoOrient(mesh, { goal, slicingPlane, planeNormal, sliceHeight, scaleX, scaleY, scaleZ }, job = DIRECT_JOB) {
+  const plane = resolvePlane(slicingPlane, planeNormal);
+  const down = plane.normal.map((c) => -c);
+  const candidates = orientationCandidates(mesh);
+
+  let best = null;
+  for (let i = 0; i < candidates.length; i++) {
+    await job.checkpoint();
+    job.progress('orienting', i, candidates.length);
+    const rotation = rotationBetween(candidates[i], down);
+    const layerIndex = buildLayerIndex(transformMesh(mesh, rotation, [0, 0, 0]), plane, scaleX, scaleY, scaleZ);
+    const layers = Math.floor((layerIndex.max - layerIndex.min) / sliceHeight) + 1;
+    const section = goal === 'section' || !best || layers <= best.layers ? smallestSection(layerIndex) : 0;
+    const better =
+      !best ||
+      (goal === 'section'
+        ? section > best.section + EPSILON || (Math.abs(section - best.section) <= EPSILON && layers < best.layers)
+        : layers < best.layers || (layers === best.layers && section > best.section + EPSILON));
+    if (better) best = { rotation, layers, section };
+  }
+  return best;
+}
+
+/* ----------------------------------------------------------
+   10.  Slicing a model
+---------------------------------------------------------- */
+// Labels, kerf and shape building for the parts of a waffle or radial model.
+// Parts left with only open chains still go out, so the viewer can flag them.
+async function emitParts(job, parts, { kerf, labels, modelName, sliceHeight }) {
+  for (let i = 0; i < parts.length; i++) {
+    await job.checkpoint();
+    const { regions, ...part } = parts[i];
+    const shapes = buildShapes(applyKerf(regions, kerf));
+    if (shapes.length || part.openPaths.length) {
+      job.layer(
+        { ...part, thickness: sliceHeight, shapes: labels ? labelShapes(shapes, layerMark(modelName, part.plane, part.rib.index)) : shapes },
+        i + 1,
+        parts.length
+      );
+    }
+  }
+}
+
+// Slices a model already placed in slicing space (see transformMesh). Each
+// part goes to job.layer as it is finished; the layer plan is returned.
+export async function sliceModel(mesh, bbox, payload, job = DIRECT_JOB) {
+  const {
+    sliceHeight, currentSlice, slicingPlane, planeNormal, scaleX, scaleY, scaleZ,
+    cutouts, kerf, mode, labels, modelName, dowelCount, dowelDiameter, dowelPoints, glueGuides,
+  } = payload;
+  const plane = resolvePlane(slicingPlane, planeNormal);
+
+  if (mode === 'waffle' || mode === 'radial') {
+    job.progress('slicing', 0, 1);
+    const parts =
+      mode === 'waffle'
+        ? sliceWaffle(mesh, bbox, plane, scaleX, scaleY, scaleZ, cutouts, sliceHeight)
+        : sliceRadial(mesh, bbox, plane, scaleX, scaleY, scaleZ, {
+          finCount: payload.finCount,
+          hubCount: payload.hubCount,
+          hubDiameter: payload.hubDiameter,
+          spineDiameter: payload.spineDiameter,
+          thickness: sliceHeight,
+        });
+    await emitParts(job, parts, payload);
+    return [];
+  }
+
+  const { min, max } = axisRange(bbox, plane, scaleX, scaleY, scaleZ);
+  const layerIndex = buildLayerIndex(mesh, plane, scaleX, scaleY, scaleZ);
+  // Every cut position is sliced and stitched at most once per job
+  const sections = new Map();
+  const sectionAt = (value) => {
+    const key = value.toFixed(6);
+    if (!sections.has(key)) {
+      const [slice] = getSliceSegments(layerIndex, [value]);
+      sections.set(key, stitchContours(slice));
+    }
+    return sections.get(key);
+  };
+
+  const plan = await planLayers(payload, min, max, sectionAt, job);
+  const nearest = (v) => plan.reduce((best, l, i) => (Math.abs(l.value - v) < Math.abs(plan[best].value - v) ? i : best), 0);
+  const selected = !plan.length
+    ? []
+    : currentSlice !== null
+      ? [{ ...plan[nearest(currentSlice)], value: currentSlice, index: nearest(currentSlice) }]
+      : plan.map((layer, index) => ({ ...layer, index }));
+
+  // A single preview slice still drills where the full stack would
+  let dowels = dowelPoints?.length ? dowelPoints : [];
+  if (!dowels.length && dowelCount > 0) {
+    for (let i = 0; i < plan.length; i++) {
+      await job.checkpoint();
+      job.progress('sections', i, plan.length);
+      sectionAt(plan[i].value);
+    }
+    dowels = autoDowels(plan.map((l) => sectionAt(l.value).regions), dowelCount, dowelDiameter);
+  }
+  const variable = payload.layerMode === 'adaptive' || payload.layerMode === 'manual';
+
+  for (let i = 0; i < selected.length; i++) {
+    await job.checkpoint();
+    const { value, thickness, index } = selected[i];
+    const { regions, openPaths } = sectionAt(value);
+    let shapes = buildShapes(applyKerf(drillDowels(regions, dowels, dowelDiameter), kerf));
+    const next = plan[index + 1];
+    if (glueGuides && next) shapes = shapes.map((shape) => ({ ...shape, engrave: glueGuide(shape, sectionAt(next.value).regions) }));
+    if (shapes.length || openPaths.length) {
+      job.layer(
+        {
+          value,
+          thickness,
+          shapes: labels ? labelShapes(shapes, layerMark(modelName, plane.name, index, variable && thickness)) : shapes,
+          openPaths,
+          plane: plane.name,
+          basis: planeBasis(plane, value),
+          dowels,
+          dowelDiameter,
+        },
+        i + 1,
+        selected.length
+      );
+    }
+  }
+  return plan;
+}
+
+/**
+ * Slices a model in one pass and collects its parts.
+ * @param {{ positions: Float32Array, index: Uint32Array }} mesh  Indexed mesh from indexMesh
+ * @param {{ min: number[], max: number[] }} bbox  Bounds of the mesh, see boundsOf
+ * @param {object} payload  Slicing parameters, as the viewer posts them to the worker
+ * @returns {Promise<{ slices: object[], layers: { value: number, thickness: number }[] }>}
+ */
+export async function sliceAll(mesh, bbox, payload) {
+  const slices = [];
+  const layers = await sliceModel(mesh, bbox, payload, { ...DIRECT_JOB, layer: (slice) => slices.push(slice) });
+  return { slices, layers };
+}
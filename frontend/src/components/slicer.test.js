@@ -0,0 +1,344 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { parseMesh } from './meshImport.js';
+import { DIRECT_JOB, indexMesh, boundsOf, sliceModel, sliceAll, planLayers } from './slicer.js';
+import { pathBounds } from './pathUtils.js';
+import { box, extrude, tube } from './__fixtures__/meshes.js';
+
+// Plain uniform stack at model scale; tests override what they exercise
+const PAYLOAD = {
+  currentSlice: null,
+  sliceHeight: 5,
+  slicingPlane: 'Z',
+  planeNormal: null,
+  scaleX: 1,
+  scaleY: 1,
+  scaleZ: 1,
+  kerf: 0,
+  mode: 'stack',
+  cutouts: 3,
+  finCount: 12,
+  hubCount: 2,
+  hubDiameter: 40,
+  spineDiameter: 0,
+  dowelCount: 0,
+  dowelDiameter: 6,
+  dowelPoints: [],
+  glueGuides: false,
+  layerMode: 'uniform',
+  labels: false,
+  modelName: 'TEST',
+};
+
+const slice = (positions, payload) => {
+  const mesh = indexMesh(positions, null);
+  return sliceAll(mesh, boundsOf(mesh.positions), { ...PAYLOAD, ...payload });
+};
+
+// Bounds of a path rounded to 1/1000 mm, as [minX, minY, maxX, maxY]
+const extent = (path) => {
+  const b = pathBounds([path]);
+  return [b.minX, b.minY, b.maxX, b.maxY].map((v) => Math.round(v * 1000) / 1000);
+};
+
+// A job that records what the slicer reports through it
+const recordingJob = () => {
+  const job = { layers: [], stages: new Set(), checkpoints: 0 };
+  return Object.assign(job, {
+    checkpoint: async () => {
+      job.checkpoints += 1;
+    },
+    progress: (stage) => job.stages.add(stage),
+    layer: (slice, done, total) => job.layers.push({ slice, done, total }),
+  });
+};
+
+// The square ring fixture: 40 mm across with a 20 mm hole, 12 mm high
+const RING = (() => {
+  const bytes = readFileSync(path.join(__dirname, '__fixtures__', 'ring.stl'));
+  const { geometry } = parseMesh(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), 'ring.stl');
+  return (geometry.index ? geometry.toNonIndexed() : geometry).attributes.position.array;
+})();
+
+// 40 × 40 mm base 10 mm high with a 20 × 40 mm block on top, 20 mm high overall
+const STEPPED_BOX = extrude([[0, 0], [40, 0], [40, 10], [20, 10], [20, 20], [0, 20]], 40);
+
+describe('slices on faces of the model', () => {
+  it('cuts the plate above a face lying in the slicing plane', async () => {
+    const { slices, layers } = await slice(STEPPED_BOX);
+
+    expect(layers.map((l) => l.value)).toEqual([0, 5, 10, 15, 20]);
+    // Nothing lies above the top face, so the last planned layer has no part
+    expect(slices.map((s) => s.value)).toEqual([0, 5, 10, 15]);
+    slices.forEach((s) => {
+      expect(s.openPaths).toEqual([]);
+      expect(s.shapes).toHaveLength(1);
+    });
+    expect(slices.map((s) => Math.round(s.shapes[0].area))).toEqual([1600, 1600, 800, 800]);
+  });
+
+  it('cuts a side face lying in the plane like any other section', async () => {
+    const { slices } = await slice(STEPPED_BOX, { slicingPlane: 'X', sliceHeight: 20 });
+
+    expect(slices.map((s) => s.value)).toEqual([0, 20]);
+    expect(slices.map((s) => Math.round(s.shapes[0].area))).toEqual([800, 400]);
+    slices.forEach((s) => expect(s.openPaths).toEqual([]));
+  });
+});
+
+describe('waffle ribs', () => {
+  it('keeps every rib when ribs land on faces of the model', async () => {
+    // At scale 5 the ribs at ±50 mm run along the walls of the hole
+    const { slices } = await slice(RING, { mode: 'waffle', sliceHeight: 4, scaleX: 5, scaleY: 5, scaleZ: 5 });
+
+    expect(slices.map((s) => `${s.plane}${s.value}`)).toEqual(['X-50', 'X0', 'X50', 'Y-50', 'Y0', 'Y50']);
+    slices.forEach((s) => {
+      expect(s.openPaths).toEqual([]);
+      expect(s.shapes.length).toBeGreaterThan(0);
+    });
+  });
+
+  it('reports ribs that only have open chains instead of dropping them', async () => {
+    // A box with its bottom missing: every rib is a U-shaped open chain
+    const openBox = box(40, 40, 20).slice(18);
+    const { slices } = await slice(openBox, { mode: 'waffle', sliceHeight: 4 });
+
+    expect(slices).toHaveLength(6);
+    slices.forEach((s) => {
+      expect(s.shapes).toEqual([]);
+      expect(s.openPaths).toHaveLength(1);
+    });
+  });
+});
+
+describe('sliceModel', () => {
+  const mesh = indexMesh(box(40, 30, 20), null);
+  const bbox = boundsOf(mesh.positions);
+
+  it('hands each finished layer to the job and returns the plan', async () => {
+    const job = recordingJob();
+    const plan = await sliceModel(mesh, bbox, PAYLOAD, job);
+
+    expect(plan).toEqual([0, 5, 10, 15, 20].map((value) => ({ value, thickness: 5 })));
+    expect(job.layers.map(({ slice, done, total }) => [slice.value, done, total])).toEqual([[0, 1, 5], [5, 2, 5], [10, 3, 5], [15, 4, 5]]);
+    job.layers.forEach(({ slice }) => {
+      expect(slice).toMatchObject({ thickness: 5, plane: 'Z', openPaths: [], dowels: [] });
+      expect(slice.basis.origin).toEqual([0, 0, slice.value]);
+      expect(slice.shapes).toHaveLength(1);
+      expect(slice.shapes[0].area).toBeCloseTo(1200, 3);
+    });
+    expect(job.checkpoints).toBeGreaterThanOrEqual(5);
+  });
+
+  it('slices only the current layer for a preview, at the value asked for', async () => {
+    const job = recordingJob();
+    const plan = await sliceModel(mesh, bbox, { ...PAYLOAD, currentSlice: 7 }, job);
+
+    expect(plan).toHaveLength(5);
+    expect(job.layers).toHaveLength(1);
+    expect(job.layers[0].slice).toMatchObject({ value: 7, thickness: 5 });
+  });
+
+  it('drills the same dowel holes through every layer', async () => {
+    const job = recordingJob();
+    await sliceModel(mesh, bbox, { ...PAYLOAD, dowelCount: 2, dowelDiameter: 6 }, job);
+
+    const [first] = job.layers;
+    expect(first.slice.dowels).toHaveLength(2);
+    job.layers.forEach(({ slice }) => {
+      expect(slice.dowels).toEqual(first.slice.dowels);
+      expect(slice.shapes[0].holes).toHaveLength(2);
+    });
+    expect(job.stages.has('sections')).toBe(true);
+  });
+
+  it('stops when a checkpoint throws', async () => {
+    const cancelled = new Error('cancelled');
+    const job = { ...DIRECT_JOB, checkpoint: async () => Promise.reject(cancelled) };
+
+    await expect(sliceModel(mesh, bbox, PAYLOAD, job)).rejects.toBe(cancelled);
+  });
+});
+
+describe('sliceAll', () => {
+  it('collects every part alongside the plan', async () => {
+    const { slices, layers } = await slice(box(40, 30, 20), { sliceHeight: 10 });
+
+    expect(layers.map((l) => l.value)).toEqual([0, 10, 20]);
+    expect(slices.map((s) => s.value)).toEqual([0, 10]);
+  });
+});
+
+describe('planLayers', () => {
+  const unused = () => {
+    throw new Error('only adaptive plans look at sections');
+  };
+
+  it('steps uniform plates from the bottom in whole thicknesses', async () => {
+    const plan = await planLayers({ layerMode: 'uniform', sliceHeight: 4 }, 2, 13, unused);
+    expect(plan).toEqual([2, 6, 10].map((value) => ({ value, thickness: 4 })));
+  });
+
+  it('keeps manual layers in range and in order, dropping unusable ones', async () => {
+    const manualLayers = [
+      { value: 12, thickness: 3 },
+      { value: -5, thickness: 6 },
+      { value: 40, thickness: 4 },
+      { value: 8, thickness: 0 },
+      { value: NaN, thickness: 3 },
+    ];
+    const plan = await planLayers({ layerMode: 'manual', manualLayers }, 0, 30, unused);
+    expect(plan).toEqual([
+      { value: 0, thickness: 6 },
+      { value: 12, thickness: 3 },
+      { value: 30, thickness: 4 },
+    ]);
+  });
+
+  describe('adaptive', () => {
+    const THICKNESSES = [3, 6, 9];
+    const adaptive = async (positions, adaptiveTolerance = 0.5) =>
+      (await slice(positions, { layerMode: 'adaptive', thicknesses: THICKNESSES, adaptiveTolerance })).layers;
+
+    // Plates stacked without gaps from the bottom, in sheets on offer, the last one reaching the top
+    const expectStack = (layers, min, max) => {
+      expect(layers[0].value).toBe(min);
+      layers.forEach((layer, i) => {
+        expect(THICKNESSES).toContain(layer.thickness);
+        if (i > 0) expect(layer.value).toBeCloseTo(layers[i - 1].value + layers[i - 1].thickness, 6);
+      });
+      const last = layers[layers.length - 1];
+      expect(last.value).toBeLessThanOrEqual(max);
+      expect(last.value + last.thickness).toBeGreaterThanOrEqual(max);
+    };
+
+    it('takes the thickest sheet on straight walls, up to the top', async () => {
+      const layers = await adaptive(box(40, 40, 30));
+      expectStack(layers, 0, 30);
+      expect(layers).toEqual([0, 9, 18, 27].map((value) => ({ value, thickness: 9 })));
+    });
+
+    it('thins out across a step in the section', async () => {
+      // 40 mm wide up to z = 10, 20 mm wide above
+      const layers = await adaptive(STEPPED_BOX);
+      expectStack(layers, 0, 20);
+      expect(layers).toEqual([
+        { value: 0, thickness: 9 },
+        { value: 9, thickness: 3 },
+        { value: 12, thickness: 9 },
+      ]);
+    });
+
+    it('trades plate count for deviation on a sloped wall', async () => {
+      // A roof narrowing from 40 mm to nothing over 40 mm of height
+      const roof = extrude([[0, 0], [40, 0], [20, 40]], 40);
+      const strict = await adaptive(roof, 0.5);
+      const loose = await adaptive(roof, 5);
+      expectStack(strict, 0, 40);
+      expectStack(loose, 0, 40);
+      // Nothing of the model lies above the last plate to hold it to the thinnest sheet
+      expect(strict.slice(0, -1).every((l) => l.thickness === 3)).toBe(true);
+      expect(loose.length).toBeLessThan(strict.length);
+    });
+  });
+});
+
+describe('kerf compensation', () => {
+  const ringLayer = async (kerf) => {
+    const { slices } = await slice(RING, { sliceHeight: 4, kerf, currentSlice: 2 });
+    return slices[0].shapes;
+  };
+
+  it('leaves the section alone without a kerf', async () => {
+    const [shape] = await ringLayer(0);
+    expect(extent(shape.outer)).toEqual([-20, -20, 20, 20]);
+    expect(shape.holes.map(extent)).toEqual([[-10, -10, 10, 10]]);
+  });
+
+  it('grows outlines and shrinks holes by half the kerf', async () => {
+    const [shape] = await ringLayer(0.4);
+    expect(extent(shape.outer)).toEqual([-20.2, -20.2, 20.2, 20.2]);
+    expect(shape.holes.map(extent)).toEqual([[-9.8, -9.8, 9.8, 9.8]]);
+    // Outer corners round off on the offset; hole corners stay sharp
+    const grown = 1600 + 160 * 0.2 + Math.PI * 0.2 * 0.2;
+    const shrunk = 19.6 * 19.6;
+    expect(shape.area).toBeCloseTo(grown - shrunk, 1);
+  });
+
+  it('closes holes narrower than the kerf', async () => {
+    const shapes = await ringLayer(20.4);
+    expect(shapes).toHaveLength(1);
+    expect(shapes[0].holes).toEqual([]);
+    expect(extent(shapes[0].outer)).toEqual([-30.2, -30.2, 30.2, 30.2]);
+  });
+});
+
+describe('radial fins and hubs', () => {
+  // Fins of a 50 mm tube with a 30 mm bore run from r = 30 to r = 50
+  const TUBE = tube(50, 30, 100);
+  const RADIAL = { mode: 'radial', sliceHeight: 4, finCount: 12, hubCount: 2 };
+  const radial = async (payload) => {
+    const { slices } = await slice(TUBE, { ...RADIAL, ...payload });
+    return { fins: slices.filter((s) => s.plane === 'R'), hubs: slices.filter((s) => s.plane === 'H') };
+  };
+  const radii = (path) => {
+    const out = [];
+    for (let i = 0; i < path.length; i += 2) out.push(Math.hypot(path[i], path[i + 1]));
+    return out;
+  };
+  // Vertices of a fin outline near (u, v), in fin space u is the distance from the axis
+  const near = (path, u, v) => {
+    for (let i = 0; i < path.length; i += 2) if (Math.abs(path[i] - u) < 0.01 && Math.abs(path[i + 1] - v) < 0.01) return true;
+    return false;
+  };
+
+  it('slots fins from the axis side and hubs from the rim, meeting halfway', async () => {
+    const { fins, hubs } = await radial({ hubDiameter: 90 });
+
+    expect(fins).toHaveLength(12);
+    expect(hubs.map((h) => Math.round(h.value * 100) / 100)).toEqual([33.33, 66.67]);
+    hubs.forEach((hub) => expect(hub.unjoined).toBeUndefined());
+
+    // The fins cross the hubs from r = 30 to the hub rim at 45: each slot runs half of it
+    fins.forEach((fin) => {
+      const [shape] = fin.shapes;
+      hubs.forEach((hub) => {
+        expect(near(shape.outer, 37.5, hub.value - 2)).toBe(true);
+        expect(near(shape.outer, 37.5, hub.value + 2)).toBe(true);
+      });
+      expect(shape.area).toBeCloseTo(20 * 100 - 2 * 4 * 7.5, 0);
+    });
+    hubs.forEach((hub) => {
+      const [shape] = hub.shapes;
+      const r = radii(shape.outer);
+      // Slot bottoms have their corners 2 mm either side of r = 37.5
+      expect(Math.min(...r)).toBeCloseTo(Math.hypot(37.5, 2), 2);
+      expect(r.filter((x) => Math.abs(x - Math.hypot(37.5, 2)) < 0.01)).toHaveLength(24);
+      expect(Math.max(...r)).toBeCloseTo(45, 2);
+    });
+  });
+
+  it('flags hubs no fin reaches with where the fins start', async () => {
+    const { fins, hubs } = await radial({ hubDiameter: 40 });
+
+    expect(hubs).toHaveLength(2);
+    hubs.forEach((hub) => {
+      expect(hub.unjoined.finStart).toBeCloseTo(30, 2);
+      // The disc is a polygon within 0.01 mm of the circle
+      expect(hub.shapes[0].area / (Math.PI * 20 * 20)).toBeCloseTo(1, 2);
+    });
+    // Neither side gets a slot
+    fins.forEach((fin) => expect(fin.shapes[0].area).toBeCloseTo(2000, 1));
+  });
+
+  it('drills the spine through every hub', async () => {
+    const { hubs } = await radial({ hubDiameter: 90, spineDiameter: 8 });
+    hubs.forEach((hub) => {
+      expect(hub.shapes[0].holes).toHaveLength(1);
+      radii(hub.shapes[0].holes[0]).forEach((r) => expect(r).toBeCloseTo(4, 2));
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/* ----------------------------------------------------------
+   Single-line stroke font for engraving / scoring.
+   Glyphs sit on a 4 × 6 unit grid (cap height 6, baseline 0);
+   every glyph is a list of open polylines [[x, y], …].
+---------------------------------------------------------- */
+const CAP_HEIGHT = 6;
+const ADVANCE = 6;       // glyph width 4 + 2 units of letter spacing
+const SPACE_ADVANCE = 4;
+
+const O = [[1, 0], [0, 1], [0, 5], [1, 6], [3, 6], [4, 5], [4, 1], [3, 0], [1, 0]];
+const P = [[0, 0], [0, 6], [3, 6], [4, 5], [4, 4], [3, 3], [0, 3]];
+
+const GLYPHS = {
+  A: [[[0, 0], [0, 4], [2, 6], [4, 4], [4, 0]], [[0, 3], [4, 3]]],
+  B: [[[0, 0], [0, 6], [3, 6], [4, 5], [4, 4], [3, 3], [0, 3]], [[3, 3], [4, 2], [4, 1], [3, 0], [0, 0]]],
+  C: [[[4, 5], [3, 6], [1, 6], [0, 5], [0, 1], [1, 0], [3, 0], [4, 1]]],
+  D: [[[0, 0], [0, 6], [2, 6], [4, 4], [4, 2], [2, 0], [0, 0]]],
+  E: [[[4, 0], [0, 0], [0, 6], [4, 6]], [[0, 3], [3, 3]]],
+  F: [[[0, 0], [0, 6], [4, 6]], [[0, 3], [3, 3]]],
+  G: [[[4, 5], [3, 6], [1, 6], [0, 5], [0, 1], [1, 0], [3, 0], [4, 1], [4, 3], [2, 3]]],
+  H: [[[0, 0], [0, 6]], [[4, 0], [4, 6]], [[0, 3], [4, 3]]],
+  I: [[[1, 0], [3, 0]], [[2, 0], [2, 6]], [[1, 6], [3, 6]]],
+  J: [[[4, 6], [4, 1], [3, 0], [1, 0], [0, 1]]],
+  K: [[[0, 0], [0, 6]], [[4, 6], [0, 2]], [[1, 3], [4, 0]]],
+  L: [[[0, 6], [0, 0], [4, 0]]],
+  M: [[[0, 0], [0, 6], [2, 3], [4, 6], [4, 0]]],
+  N: [[[0, 0], [0, 6], [4, 0], [4, 6]]],
+  O: [O],
+  P: [P],
+  Q: [O, [[2, 2], [4, 0]]],
+  R: [P, [[2, 3], [4, 0]]],
+  S: [[[4, 5], [3, 6], [1, 6], [0, 5], [0, 4], [1, 3], [3, 3], [4, 2], [4, 1], [3, 0], [1, 0], [0, 1]]],
+  T: [[[0, 6], [4, 6]], [[2, 6], [2, 0]]],
+  U: [[[0, 6], [0, 1], [1, 0], [3, 0], [4, 1], [4, 6]]],
+  V: [[[0, 6], [2, 0], [4, 6]]],
+  W: [[[0, 6], [1, 0], [2, 4], [3, 0], [4, 6]]],
+  X: [[[0, 0], [4, 6]], [[0, 6], [4, 0]]],
+  Y: [[[0, 6], [2, 3], [4, 6]], [[2, 3], [2, 0]]],
+  Z: [[[0, 6], [4, 6], [0, 0], [4, 0]]],
+  0: [O, [[0, 1], [4, 5]]],
+  1: [[[1, 5], [2, 6], [2, 0]], [[1, 0], [3, 0]]],
+  2: [[[0, 5], [1, 6], [3, 6], [4, 5], [4, 4], [0, 0], [4, 0]]],
+  3: [[[0, 5], [1, 6], [3, 6], [4, 5], [4, 4], [3, 3], [4, 2], [4, 1], [3, 0], [1, 0], [0, 1]], [[1, 3], [3, 3]]],
+  4: [[[3, 0], [3, 6], [0, 2], [4, 2]]],
+  5: [[[4, 6], [0, 6], [0, 3], [3, 3], [4, 2], [4, 1], [3, 0], [1, 0], [0, 1]]],
+  6: [[[3, 6], [1, 6], [0, 5], [0, 1], [1, 0], [3, 0], [4, 1], [4, 2], [3, 3], [0, 3]]],
+  7: [[[0, 6], [4, 6], [1, 0]]],
+  8: [[[1, 3], [0, 4], [0, 5], [1, 6], [3, 6], [4, 5], [4, 4], [3, 3], [1, 3], [0, 2], [0, 1], [1, 0], [3, 0], [4, 1], [4, 2], [3, 3]]],
+  9: [[[1, 0], [3, 0], [4, 1], [4, 5], [3, 6], [1, 6], [0, 5], [0, 4], [1, 3], [4, 3]]],
+  '-': [[[1, 3], [3, 3]]],
+  '.': [[[2, 0], [2, 0.5]]],
+  _: [[[0, 0], [4, 0]]],
+  '/': [[[0, 0], [4, 6]]],
+  '?': [[[0, 5], [1, 6], [3, 6], [4, 5], [4, 4], [2, 3], [2, 2]], [[2, 0.5], [2, 0]]],
+};
+
+/**
+ * Lays out `text` as open stroke polylines with the given cap height (mm).
+ * Lower case is drawn as upper case; unknown characters become '?'.
+ *
+ * @returns {{ strokes: number[][], width: number, height: number }} flat
+ *   [x0, y0, x1, y1, …] polylines with the baseline at y = 0
+ */
+export function layoutText(text, height) {
+  const scale = height / CAP_HEIGHT;
+  const strokes = [];
+  let cursor = 0;
+  let width = 0;
+  [...text.toUpperCase()].forEach((ch) => {
+    if (ch === ' ') {
+      cursor += SPACE_ADVANCE;
+      return;
+    }
+    (GLYPHS[ch] || GLYPHS['?']).forEach((line) => strokes.push(line.flatMap(([x, y]) => [(cursor + x) * scale, y * scale])));
+    width = cursor + 4;
+    cursor += ADVANCE;
+  });
+  return { strokes, width: width * scale, height };
+}
@@ -1,139 +1,118 @@
-/* eslint-disable no-console */
-import * as ClipperLib from 'js-clipper';
-import * as THREE from 'three';
+/* eslint-disable no-console, no-restricted-globals */
+import { IDENTITY, indexMesh, boundsOf, transformMesh, sliceModel, autoOrient } from '../components/slicer';
+import { analyzeMesh } from '../components/meshRepair';
 
-const CL_SCALE = 10_000_000;
-const EPSILON = 1e-5;
-const SNAP_TOLERANCE = 0.5;
+// The slicing itself lives in components/slicer, shared with the slicr CLI;
+// this worker holds the uploaded model and runs jobs against it.
 
 /* ----------------------------------------------------------
-   1.  Extract raw segments
+   1.  Jobs
 ---------------------------------------------------------- */
-function getSliceSegments(posArr, bbox, heightStep, currentSliceVal, plane, sx, sy, sz) {
-  const slices = [];
-  if (!bbox?.min || !bbox?.max) return slices;
+// The model is uploaded once with 'setGeometry'; every 'slice' or 'orient'
+// request then runs as a job under the caller's ID. Jobs yield to the message
+// queue as they go, so a 'cancel' or a newer job (which supersedes the
+// running one) takes effect between layers instead of after the whole stack.
+//
+//   → setGeometry { positionArray, indexArray }
+//   → slice { jobId, payload }            → cancel { jobId }
+//   → orient { jobId, payload }
+//   ← progress { jobId, stage, done, total }
+//   ← layer { jobId, slice, done, total }  one per finished slice, in order
+//   ← complete { jobId, layers } | oriented { jobId, rotation, layers, section }
+//   ← cancelled { jobId } | error { jobId, message }
+//
+// The mesh check is not a job: it runs straight through on the model as
+// uploaded, before welding, and doesn't supersede or cancel a slice.
+//
+//   → analyze { requestId, payload: { maxHoleEdges } }
+//   ← analyzed { requestId, report }       report is null if the check failed
+const YIELD_INTERVAL = 15; // ms of work between looks at the message queue
 
-  let axis, min, max;
-  if (plane === 'Z') {
-    axis = 'z';
-    min = bbox.min[2] * sz;
-    max = bbox.max[2] * sz;
-  } else if (plane === 'X') {
-    axis = 'x';
-    min = bbox.min[0] * sx;
-    max = bbox.max[0] * sx;
-  } else {
-    axis = 'y';
-    min = bbox.min[1] * sy;
-    max = bbox.max[1] * sy;
-  }
-
-  const valuesToSlice =
-    currentSliceVal !== null
-      ? [currentSliceVal]
-      : Array.from({ length: Math.floor((max - min) / heightStep) + 1 }, (_, i) => min + i * heightStep);
+class JobCancelled extends Error {}
 
-  const v1 = new THREE.Vector3();
-  const v2 = new THREE.Vector3();
-  const v3 = new THREE.Vector3();
+let model = null;
+let activeJob = null;
 
-  valuesToSlice.forEach((val) => {
-    const segs = [];
-    for (let i = 0; i < posArr.length; i += 9) {
-      v1.set(posArr[i] * sx, posArr[i + 1] * sy, posArr[i + 2] * sz);
-      v2.set(posArr[i + 3] * sx, posArr[i + 4] * sy, posArr[i + 5] * sz);
-      v3.set(posArr[i + 6] * sx, posArr[i + 7] * sy, posArr[i + 8] * sz);
+// setTimeout(0) is clamped to 4 ms once nested; a channel message is not
+const channel = new MessageChannel();
+const wakeups = [];
+channel.port1.onmessage = () => wakeups.shift()();
+const yieldToMessages = () =>
+  new Promise((resolve) => {
+    wakeups.push(resolve);
+    channel.port2.postMessage(null);
+  });
 
-      const tri = [v1, v2, v3];
-      const pts = [];
-      for (let j = 0; j < 3; j++) {
-        const a = tri[j];
-        const b = tri[(j + 1) % 3];
-        const va = a[axis];
-        const vb = b[axis];
-        if ((va <= val + EPSILON && vb >= val - EPSILON) || (vb <= val + EPSILON && va >= val - EPSILON)) {
-          if (Math.abs(vb - va) < EPSILON) continue;
-          const t = (val - va) / (vb - va);
-          const p = new THREE.Vector3().lerpVectors(a, b, t);
-          pts.push(p);
-        }
-      }
-      if (pts.length === 2 && pts[0].distanceTo(pts[1]) > EPSILON) {
-        segs.push([pts[0].toArray(), pts[1].toArray()]);
+function createJob(jobId) {
+  let lastYield = Date.now();
+  return {
+    // Lets queued messages through now and then; throws once the job is no longer current
+    async checkpoint() {
+      if (Date.now() - lastYield >= YIELD_INTERVAL) {
+        await yieldToMessages();
+        lastYield = Date.now();
       }
-    }
-    if (segs.length) slices.push({ value: val, segments: segs });
-  });
-  return slices;
+      if (activeJob !== jobId) throw new JobCancelled();
+    },
+    progress: (stage, done, total) => self.postMessage({ type: 'progress', jobId, stage, done, total }),
+    layer: (slice, done, total) => self.postMessage({ type: 'layer', jobId, slice, done, total }),
+  };
 }
 
-/* ----------------------------------------------------------
-   2.  Snap & trace helpers (unused in fallback mode)
----------------------------------------------------------- */
-function snapPointsToGrid(raw, plane) {
-  const out = [];
-  const map = new Map();
-  raw.forEach(([p1, p2]) => {
-    let x1, y1, x2, y2;
-    if (plane === 'Z') {
-      x1 = p1[0];
-      y1 = p1[1];
-      x2 = p2[0];
-      y2 = p2[1];
-    } else if (plane === 'X') {
-      x1 = p1[1];
-      y1 = p1[2];
-      x2 = p2[1];
-      y2 = p2[2];
-    } else {
-      x1 = p1[0];
-      y1 = p1[2];
-      x2 = p2[0];
-      y2 = p2[2];
-    }
-    const snap = 1 / SNAP_TOLERANCE;
-    const snapX1 = Math.round(x1 * snap) / snap;
-    const snapY1 = Math.round(y1 * snap) / snap;
-    const snapX2 = Math.round(x2 * snap) / snap;
-    const snapY2 = Math.round(y2 * snap) / snap;
+// The model as the viewer has placed it; the last placement is kept so
+// re-slicing at a new thickness doesn't transform the mesh again
+function orientedModel(rotation = IDENTITY, offset = [0, 0, 0]) {
+  const key = [...rotation, ...offset].join(',');
+  if (model.oriented?.key !== key) {
+    const mesh = key === [...IDENTITY, 0, 0, 0].join(',') ? model.mesh : transformMesh(model.mesh, rotation, offset);
+    model.oriented = { key, mesh, bbox: boundsOf(mesh.positions) };
+  }
+  return model.oriented;
+}
 
-    const key1 = `${snapX1},${snapY1}`;
-    const key2 = `${snapX2},${snapY2}`;
-    let int1 = map.get(key1);
-    if (!int1) {
-      int1 = { X: Math.round(snapX1 * CL_SCALE), Y: Math.round(snapY1 * CL_SCALE) };
-      map.set(key1, int1);
-    }
-    let int2 = map.get(key2);
-    if (!int2) {
-      int2 = { X: Math.round(snapX2 * CL_SCALE), Y: Math.round(snapY2 * CL_SCALE) };
-      map.set(key2, int2);
-    }
-    if (int1.X !== int2.X || int1.Y !== int2.Y) out.push([int1, int2]);
-  });
-  return out;
+// Runs one job against the uploaded model and returns the reply to post
+async function runJob(type, job, payload) {
+  if (!model) throw new Error('No model has been loaded into the slicer');
+  if (type === 'orient') return { type: 'oriented', ...(await autoOrient(model.mesh, payload, job)) };
+  const { mesh, bbox } = orientedModel(payload.rotation, payload.offset);
+  return { type: 'complete', layers: await sliceModel(mesh, bbox, payload, job) };
 }
 
 /* ----------------------------------------------------------
-   3.  Worker entry
+   2.  Worker entry
 ---------------------------------------------------------- */
 self.onmessage = function (e) {
-  const { type, payload } = e.data;
-  if (type === 'sliceModel') {
-    const { positionArray, bboxData, sliceHeight, currentSlice, slicingPlane, scaleX, scaleY, scaleZ, cutouts } = payload;
-
-    const slicesData = getSliceSegments(positionArray, bboxData, sliceHeight, currentSlice, slicingPlane, scaleX, scaleY, scaleZ);
-
-    // For now we use raw segments (fallback) – cutouts & tabWidth are passed for future extension
-    const processed = slicesData.map(({ value, segments }) => ({
-      value,
-      contours: segments.flatMap((s) => [...s[0], ...s[1]]),
-      isFallback: true,
-      plane: slicingPlane,
-      cutouts,
-      tabWidth: sliceHeight * 0.6,
-    }));
-
-    self.postMessage({ type: 'slicingComplete', payload: processed });
+  const { type, jobId, payload } = e.data;
+  if (type === 'setGeometry') {
+    const { positionArray, indexArray } = payload;
+    model = { source: { positionArray, indexArray }, mesh: indexMesh(positionArray, indexArray), oriented: null };
+  } else if (type === 'analyze') {
+    const { requestId } = e.data;
+    let report = null;
+    try {
+      if (!model) throw new Error('No model has been loaded into the slicer');
+      report = analyzeMesh(model.source.positionArray, model.source.indexArray, payload);
+    } catch (err) {
+      console.error('Mesh check failed:', err);
+    }
+    const { openEdges, nonManifoldEdges, faces } = report?.highlight || {};
+    self.postMessage({ type: 'analyzed', requestId, report }, report ? [openEdges.buffer, nonManifoldEdges.buffer, faces.buffer] : []);
+  } else if (type === 'cancel') {
+    if (activeJob === jobId) activeJob = null;
+  } else if (type === 'slice' || type === 'orient') {
+    activeJob = jobId;
+    runJob(type, createJob(jobId), payload)
+      .then((reply) => self.postMessage({ ...reply, jobId }))
+      .catch((err) => {
+        if (err instanceof JobCancelled) {
+          self.postMessage({ type: 'cancelled', jobId });
+          return;
+        }
+        console.error(type === 'slice' ? 'Slicing failed:' : 'Orientation failed:', err);
+        self.postMessage({ type: 'error', jobId, message: err.message || String(err) });
+      })
+      .finally(() => {
+        if (activeJob === jobId) activeJob = null;
+      });
   }
 };